@@ -0,0 +1,197 @@
+/**
+ * Accessibility - Described Canvas, Live Announcements & Keyboard Steps
+ * =====================================================================
+ *
+ * The WebGL canvas and the scroll-revealed copy are invisible to assistive
+ * technology by default. This module:
+ * - Exposes the canvas as a described image (role="img" + description)
+ * - Announces each story step (headers, tooltips) through an aria-live
+ *   region as it becomes active
+ * - Lets keyboard users step through the story without scroll gestures
+ *
+ *   <div class="model-container"
+ *        data-label="3D model of the CTRL-Z can"
+ *        data-description="The can turns as you move through the story.">
+ *
+ * LEARNING OBJECTIVES:
+ * - Give non-visual users an equivalent of a visual-only experience
+ * - Use aria-live regions for dynamic content
+ */
+
+/**
+ * DEFAULT COPY
+ * ============
+ */
+export const A11Y_TEXT = {
+  label: "3D model of the CTRL-Z can",
+  description: "The can rotates as you scroll through the product story.",
+  instructions:
+    "Use the arrow keys to step through the story, Home and End to jump to the start or end.",
+  region: "Product story",
+};
+
+let idCounter = 0;
+
+/**
+ * Visually hide an element while keeping it available to screen readers
+ */
+function visuallyHide(element) {
+  gsap.set(element, {
+    position: "absolute",
+    width: 1,
+    height: 1,
+    padding: 0,
+    margin: -1,
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap",
+    border: 0,
+  });
+}
+
+/**
+ * Create a visually hidden element with a unique id
+ */
+function createHiddenText(parent, text) {
+  const element = document.createElement("div");
+  element.id = `can-scene-a11y-${++idCounter}`;
+  element.textContent = text;
+  visuallyHide(element);
+  parent.appendChild(element);
+  return element;
+}
+
+/**
+ * SETUP CANVAS ACCESSIBILITY
+ * ==========================
+ *
+ * Label the canvas as an image, make the container a focusable region with
+ * keyboard instructions, and add a polite live region.
+ *
+ * Returns { announce(text), destroy() }.
+ */
+export function setupCanvasAccessibility(container, canvas) {
+  const { label = A11Y_TEXT.label, description = A11Y_TEXT.description } =
+    container.dataset;
+
+  // The canvas is a described image
+  const descriptionElement = createHiddenText(container, description);
+  canvas.setAttribute("role", "img");
+  canvas.setAttribute("aria-label", label);
+  canvas.setAttribute("aria-describedby", descriptionElement.id);
+
+  // The container is a keyboard-focusable region for stepping
+  const instructionsElement = createHiddenText(
+    container,
+    A11Y_TEXT.instructions
+  );
+  container.setAttribute("tabindex", "0");
+  container.setAttribute("role", "region");
+  container.setAttribute("aria-label", A11Y_TEXT.region);
+  container.setAttribute("aria-describedby", instructionsElement.id);
+
+  // Live region announcing the active story step
+  const liveRegion = createHiddenText(container, "");
+  liveRegion.setAttribute("aria-live", "polite");
+  liveRegion.setAttribute("aria-atomic", "true");
+
+  return {
+    announce(text) {
+      liveRegion.textContent = text;
+    },
+    destroy() {
+      [descriptionElement, instructionsElement, liveRegion].forEach((el) =>
+        el.remove()
+      );
+      ["role", "aria-label", "aria-describedby"].forEach((name) =>
+        canvas.removeAttribute(name)
+      );
+      ["tabindex", "role", "aria-label", "aria-describedby"].forEach((name) =>
+        container.removeAttribute(name)
+      );
+    },
+  };
+}
+
+/**
+ * Readable text of an element with collapsed whitespace
+ */
+function readText(element) {
+  return element ? element.textContent.replace(/\s+/g, " ").trim() : "";
+}
+
+/**
+ * BUILD STORY STEPS
+ * =================
+ *
+ * The ordered list of things worth announcing, each with the scroll
+ * progress where it becomes active:
+ * - The two headers (start of the sequence, and the mask reveal)
+ * - Every tooltip at the start of its visibility window
+ * Tooltips that appear at the same moment are merged into one step.
+ */
+export function buildStorySteps(root, tooltips, { revealAt = 0.2 } = {}) {
+  const steps = [
+    { at: 0, text: readText(root.querySelector(".header-1")) },
+    { at: revealAt, text: readText(root.querySelector(".header-2")) },
+  ];
+
+  tooltips.forEach(({ element, config }) => {
+    const text = [
+      element.querySelector(".title"),
+      element.querySelector(".description"),
+    ]
+      .map(readText)
+      .filter(Boolean)
+      .join(". ");
+
+    const existing = steps.find((step) => step.at === config.showFrom);
+    if (existing) {
+      existing.text = `${existing.text} ${text}`;
+    } else {
+      steps.push({ at: config.showFrom, text });
+    }
+  });
+
+  return steps.filter((step) => step.text).sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Index of the active step for a scroll progress (-1 before the first)
+ */
+export function getStepIndex(steps, progress) {
+  let index = -1;
+  steps.forEach((step, i) => {
+    if (progress >= step.at) index = i;
+  });
+  return index;
+}
+
+/**
+ * BIND STEP KEYS
+ * ==============
+ *
+ * Arrow keys move to the next/previous step, Home/End to the first/last.
+ * `onStep(direction)` receives 1, -1, "first" or "last".
+ * Returns a function that removes the listener.
+ */
+export function bindStepKeys(element, onStep) {
+  const keys = {
+    ArrowRight: 1,
+    ArrowDown: 1,
+    ArrowLeft: -1,
+    ArrowUp: -1,
+    Home: "first",
+    End: "last",
+  };
+
+  const onKeyDown = (event) => {
+    if (!(event.key in keys) || event.target !== element) return;
+
+    event.preventDefault(); // Don't also scroll the page
+    onStep(keys[event.key]);
+  };
+
+  element.addEventListener("keydown", onKeyDown);
+  return () => element.removeEventListener("keydown", onKeyDown);
+}
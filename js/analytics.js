@@ -0,0 +1,118 @@
+/**
+ * Analytics - Forward Scene Events to a Tracking Sink
+ * ===================================================
+ *
+ * Scene events (see js/events.js) can be forwarded to any analytics tool
+ * through an adapter - an object with one method:
+ *
+ *   const adapter = {
+ *     track(name, properties) {
+ *       // name: event type, e.g. "scroll-depth"
+ *       // properties: the event detail plus { scene }
+ *       plausible(name, { props: properties });
+ *     },
+ *   };
+ *
+ * Pick the adapter per scene (`analytics` option or `data-analytics`
+ * attribute: "console", "datalayer" or "none"; null or false also turn
+ * tracking off) or for the whole page:
+ *
+ *   window.setCanSceneAnalytics(adapter);
+ *
+ * Without either, nothing is sent. Use "console" to watch events while
+ * developing.
+ *
+ * LEARNING OBJECTIVES:
+ * - Keep vendor code out of a component behind a tiny interface
+ * - Use a stand-in during development instead of polluting real data
+ */
+
+// Pinned-scroll progress values reported as "scroll-depth" events
+export const SCROLL_DEPTH_MILESTONES = [0.25, 0.5, 0.75, 1];
+
+/**
+ * CONSOLE ADAPTER
+ * ===============
+ * Development stand-in: logs every event and keeps the most recent ones
+ * in `events` for inspection, e.g. from the browser console.
+ */
+export function createConsoleAdapter({ limit = 200 } = {}) {
+  const events = [];
+
+  return {
+    events,
+    track(name, properties) {
+      events.push({ name, properties, time: Date.now() });
+      if (events.length > limit) events.shift();
+
+      console.info(`[canscene] ${name}`, properties);
+    },
+  };
+}
+
+/**
+ * DATA LAYER ADAPTER
+ * ==================
+ * Pushes `{ event: "canscene_<name>", ...properties }` onto a Google Tag
+ * Manager style data layer (window.dataLayer by default).
+ */
+export function createDataLayerAdapter(getDataLayer) {
+  return {
+    track(name, properties) {
+      const dataLayer = getDataLayer
+        ? getDataLayer()
+        : (window.dataLayer ??= []);
+
+      dataLayer.push({
+        event: `canscene_${name.replace(/-/g, "_")}`,
+        ...properties,
+      });
+    },
+  };
+}
+
+/**
+ * NAMED ADAPTERS
+ * ==============
+ * One shared instance per name, so all scenes log into the same list
+ */
+const namedAdapters = {
+  console: createConsoleAdapter(),
+  datalayer: createDataLayerAdapter(),
+  none: null,
+};
+
+// Page-wide default: nothing until a page or scene asks for an adapter
+let defaultAdapter = null;
+
+/**
+ * Set the adapter for every scene without its own `analytics` setting
+ * (null turns tracking off)
+ */
+export function setAnalyticsAdapter(adapter) {
+  defaultAdapter = adapter;
+}
+
+// Unknown adapter names already warned about
+const warnedNames = new Set();
+
+/**
+ * RESOLVE ANALYTICS ADAPTER
+ * =========================
+ * An adapter object, an adapter name, null / false (no tracking) or
+ * undefined (the page default). Resolved on every event, so
+ * setAnalyticsAdapter() also affects scenes that are already mounted.
+ */
+export function resolveAnalyticsAdapter(value) {
+  if (value === null || value === false) return null;
+  if (value && typeof value.track === "function") return value;
+  // Own keys only: "constructor" or "toString" are not adapters
+  if (typeof value === "string" && Object.hasOwn(namedAdapters, value)) {
+    return namedAdapters[value];
+  }
+  if (value !== undefined && !warnedNames.has(value)) {
+    warnedNames.add(value); // Once, not on every event
+    console.warn(`Unknown analytics adapter "${value}", using the default`);
+  }
+  return defaultAdapter;
+}
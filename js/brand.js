@@ -0,0 +1,60 @@
+/**
+ * Brand - Per-Product Colours for a Scene Section
+ * ===============================================
+ *
+ * A CMS collection page can give each product its own colours without
+ * touching the Webflow styles. Colours are set on the scene section only,
+ * so other sections (and other scenes) keep theirs:
+ *
+ *   <section class="product-overview"
+ *            data-brand-mask="#f8d47a"
+ *            data-brand-tooltip="#12161c">
+ *
+ * or `"brand": { "mask": "#f8d47a" }` in the scene's JSON config block.
+ *
+ * LEARNING OBJECTIVES:
+ * - Theme a component by overriding CSS custom properties locally
+ * - Undo inline styles cleanly when the component is destroyed
+ */
+
+/**
+ * BRAND COLOURS
+ * =============
+ * Each key sets a CSS property on the section itself (the Webflow colour
+ * variables are inherited from there) or on the matching elements inside.
+ */
+export const BRAND_COLORS = {
+  background: { property: "--colors--background" }, // Model fade-out gradient
+  mask: { property: "--colors--color" }, // Circular mask reveal
+  accent: { property: "--colors--primary-accent" }, // Focus outlines
+  tooltip: { selector: ".tooltip", property: "color" }, // Tooltip titles
+  divider: { selector: ".tooltip-colour", property: "color" }, // Tooltip lines
+};
+
+/**
+ * APPLY BRAND
+ * ===========
+ *
+ * @param {HTMLElement} root - The scene section
+ * @param {Object} brand - { background, mask, accent, tooltip, divider }
+ *   as CSS colours; missing keys keep the Webflow styles
+ * Returns a function that removes the colours again.
+ */
+export function applyBrand(root, brand = {}) {
+  const applied = []; // [targets, property]
+
+  Object.entries(BRAND_COLORS).forEach(([key, { selector, property }]) => {
+    const value = brand[key];
+    if (!value) return;
+
+    const targets = selector ? root.querySelectorAll(selector) : root;
+    gsap.set(targets, { [property]: value });
+    applied.push([targets, property]);
+  });
+
+  return () => {
+    applied.forEach(([targets, property]) =>
+      gsap.set(targets, { clearProps: property })
+    );
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Breakpoints - Responsive Framing Between Named Viewports
+ * ========================================================
+ *
+ * Instead of one `isMobile` switch, modelConfig.breakpoints lists named
+ * viewports. Each one pins framing values at a viewport width, and the
+ * values in between are interpolated, so the can's framing changes
+ * continuously as the window is resized:
+ *
+ *   breakpoints: {
+ *     mobile:  { width: 767, cameraDistance: 4, rotation: 0, horizontalOffset: 0 },
+ *     desktop: { width: 1024 },   // Uses the base values of modelConfig
+ *     tall:    { width: 1024, orientation: "portrait", cameraDistance: 3.6 },
+ *   }
+ *
+ * Breakpoint fields:
+ * - width:                  Viewport width (px) where the values apply exactly
+ * - orientation:            Only match "portrait" or "landscape" viewports
+ * - minAspect / maxAspect:  Only match these width / height ratios
+ * - cameraDistance, rotation, horizontalOffset, verticalOffset:
+ *                           Framing values (missing ones use the base values)
+ * - phases:                 Choreography overrides keyed by phase id
+ * - tooltips:               Per-tooltip config overrides in DOM order, e.g.
+ *                           [{ anchor: "bottom-left" }, { showFrom: 0.5 }]
+ *
+ * Phases and tooltips are not interpolated: they come from the active
+ * breakpoint, the widest matching one at or below the viewport width.
+ *
+ * The "viewport" is the scene's container, so an embedded scene is framed
+ * for the space it actually has (see CONTAINER SIZE in scene.js).
+ *
+ * LEARNING OBJECTIVES:
+ * - Interpolate configuration instead of jumping between fixed layouts
+ * - Combine width with orientation and aspect ratio conditions
+ */
+
+// Framing values that are interpolated between breakpoints
+export const FRAMING_KEYS = [
+  "cameraDistance",
+  "rotation",
+  "horizontalOffset",
+  "verticalOffset",
+];
+
+/**
+ * Whether a breakpoint's conditions match a viewport
+ */
+function matchesViewport(breakpoint, { width, height }) {
+  const aspect = width / height;
+
+  if (breakpoint.orientation === "portrait" && aspect >= 1) return false;
+  if (breakpoint.orientation === "landscape" && aspect < 1) return false;
+  if (breakpoint.minAspect !== undefined && aspect < breakpoint.minAspect) {
+    return false;
+  }
+  if (breakpoint.maxAspect !== undefined && aspect > breakpoint.maxAspect) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Framing values of a breakpoint, falling back to the base values
+ */
+function pickFraming(breakpoint, base) {
+  const values = {};
+  FRAMING_KEYS.forEach((key) => {
+    values[key] = breakpoint?.[key] ?? base[key];
+  });
+  return values;
+}
+
+/**
+ * RESOLVE BREAKPOINT
+ * ==================
+ *
+ * @param {Object} viewport - { width, height } in CSS pixels
+ * @param {Object} breakpoints - Named breakpoints (see above)
+ * @param {Object} base - Framing values used where a breakpoint has none
+ *
+ * Returns { name, values, phases, tooltips } where `values` holds the
+ * interpolated framing values and the rest come from the active breakpoint.
+ */
+export function resolveBreakpoint(viewport, breakpoints = {}, base = {}) {
+  // Conditional breakpoints sort after plain ones at the same width, so
+  // they win there
+  const conditional = (breakpoint) =>
+    breakpoint.orientation !== undefined ||
+    breakpoint.minAspect !== undefined ||
+    breakpoint.maxAspect !== undefined;
+
+  const matching = Object.entries(breakpoints)
+    .map(([name, breakpoint]) => ({ name, ...breakpoint }))
+    .filter((breakpoint) => matchesViewport(breakpoint, viewport))
+    .sort((a, b) => a.width - b.width || conditional(a) - conditional(b));
+
+  const below = matching.filter(({ width }) => width <= viewport.width);
+  const lower = below[below.length - 1];
+  const upper = matching.find(({ width }) => width > viewport.width);
+  const active = lower ?? upper;
+
+  const values = pickFraming(active, base);
+  if (lower && upper) {
+    // Framing values are plain numbers, so a linear mix is all it takes
+    const t = (viewport.width - lower.width) / (upper.width - lower.width);
+    const from = pickFraming(lower, base);
+    const to = pickFraming(upper, base);
+    FRAMING_KEYS.forEach((key) => {
+      values[key] = from[key] + (to[key] - from[key]) * t;
+    });
+  }
+
+  return {
+    name: active?.name ?? null,
+    values,
+    phases: active?.phases ?? {},
+    tooltips: active?.tooltips ?? [],
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Chapters - Named Stops in the Pinned Story
+ * ==========================================
+ *
+ * The pinned sequence is one long scroll, but it tells its story in a few
+ * chapters. Each chapter starts where a choreography phase starts, so
+ * retiming the phases (config or breakpoints) moves the chapters too:
+ *
+ *   intro -> header-slide -> mask-reveal -> features -> full-screen
+ *
+ * Chapters are used for keyboard jumps (Arrow / Page keys), optional
+ * snapping and URL hashes such as `#features` (see CHAPTERS in scene.js).
+ *
+ * LEARNING OBJECTIVES:
+ * - Give a continuous scroll animation discrete, linkable positions
+ * - Derive positions from one source of truth instead of copying numbers
+ */
+
+/**
+ * CHAPTERS
+ * ========
+ * `at` is where the chapter starts: a progress value (0-1), a phase id
+ * (the start of its range) or "tooltips" (the first tooltip to appear).
+ * Override the list with the `chapters` option; ids double as URL hashes,
+ * so keep them unique on the page.
+ */
+export const sceneChapters = [
+  { id: "intro", at: 0 },
+  { id: "header-slide", at: "header-1-slide" },
+  { id: "mask-reveal", at: "circular-mask-reveal" },
+  { id: "features", at: "tooltips" },
+  { id: "full-screen", at: "model-container-fullscreen" },
+];
+
+/**
+ * RESOLVE CHAPTERS
+ * ================
+ *
+ * @param {Array} chapters - See sceneChapters
+ * @param {Object} context
+ * - phases:   Choreography phases for the active breakpoint
+ * - tooltips: Tooltip configs ({ showFrom }) in use
+ * Returns [{ id, progress }] sorted by progress. Chapters whose phase
+ * doesn't exist (or without tooltips) are left out.
+ */
+export function resolveChapters(chapters, { phases, tooltips }) {
+  return chapters
+    .map(({ id, at }) => {
+      let progress = at;
+
+      if (at === "tooltips") {
+        progress = tooltips.length
+          ? Math.min(...tooltips.map(({ showFrom }) => showFrom))
+          : undefined;
+      } else if (typeof at === "string") {
+        progress = phases.find((phase) => phase.id === at)?.range[0];
+      }
+
+      return { id, progress };
+    })
+    .filter(({ progress }) => Number.isFinite(progress))
+    .sort((a, b) => a.progress - b.progress);
+}
+
+/**
+ * Index of the chapter a progress value is in (-1 before the first one)
+ */
+export function getChapterIndex(chapters, progress) {
+  // A little tolerance: scrolling to a chapter may land a pixel short
+  return chapters.findLastIndex(
+    (chapter) => progress >= chapter.progress - 1e-3
+  );
+}
@@ -0,0 +1,331 @@
+/**
+ * Scroll Choreography - Phase Schema & Engine
+ * ===========================================
+ *
+ * The pinned `.product-overview` sequence is described as data instead of
+ * nested ternaries inside a ScrollTrigger callback. Each phase says:
+ * "between these two progress values, move this target from these values
+ * to those values". A single engine reads the phases and drives GSAP.
+ *
+ * LEARNING OBJECTIVES:
+ * - Separate *what* animates (data) from *how* it animates (engine)
+ * - Understand progress remapping: global progress -> local phase progress
+ * - Learn how GSAP interpolates numbers, colors and complex strings
+ */
+
+/**
+ * SCENE PHASES
+ * ============
+ *
+ * Phase shape:
+ * - id:     Readable name (handy when debugging or retiming)
+ * - target: A DOM selector, or a named target registered with the engine
+ *           (e.g. "model" for properties of the 3D model)
+ * - range:  [start, end] in scroll progress (0-1). When start === end the
+ *           phase is a discrete switch at that point.
+ * - from:   Values before/at the start of the range
+ * - to:     Values at/after the end of the range
+ * - ease:   Shapes progress *inside* the range (defaults to "none" = linear)
+ * - tween:  Follow-tween used to apply the value ({ duration, ease }).
+ *           This is the smoothing that trails behind the scroll position.
+ *           Use null to apply values instantly.
+ *
+ * Designers can retime the whole sequence by editing the ranges below.
+ */
+export const scenePhases = [
+  {
+    // Hide the model gradient overlay early to improve can visibility
+    id: "model-gradient-fade",
+    target: ".styles__model_gradient",
+    range: [0.08, 0.08],
+    from: { opacity: 1 },
+    to: { opacity: 0 },
+    tween: { duration: 0.3, ease: "power2.out" },
+  },
+  {
+    // The 3D model moves up from below the viewport to its final position
+    id: "model-entrance",
+    target: "model",
+    range: [0, 0.05],
+    from: { entrance: 0 },
+    to: { entrance: 1 },
+    tween: { duration: 0.3, ease: "power3.out" },
+  },
+  {
+    // Model container grows from its initial 0.8 scale
+    id: "model-container-scale",
+    target: ".model-container",
+    range: [0.15, 0.15],
+    from: { scale: 0.8 },
+    to: { scale: 1 },
+    tween: { duration: 0.2, ease: "power2.out" },
+  },
+  {
+    // Sticky behaviour with full viewport size near the end of the pin.
+    // Before that the container fills its section (or a card or column).
+    // Not "auto": the canvas takes its size from the container, so an
+    // auto-sized container would only ever wrap the canvas's old size.
+    id: "model-container-fullscreen",
+    target: ".model-container",
+    range: [0.9, 0.9],
+    from: { zIndex: "auto", width: "100%", height: "100%" },
+    to: { zIndex: 1000, width: "100vw", height: "100vh" },
+    tween: { duration: 0.2, ease: "power2.out" },
+  },
+  {
+    // The first header slides out to the left
+    id: "header-1-slide",
+    target: ".header-1",
+    range: [0.12, 0.25],
+    from: { xPercent: 0 },
+    to: { xPercent: -100 },
+    tween: { duration: 0.4, ease: "linear" },
+  },
+  {
+    // A circular mask expands to reveal the second header underneath
+    id: "circular-mask-reveal",
+    target: ".circular-mask",
+    range: [0.2, 0.28],
+    from: { clipPath: "circle(0% at 50% 50%)" },
+    to: { clipPath: "circle(100% at 50% 50%)" },
+    tween: { duration: 2, ease: "power2.out" },
+  },
+  {
+    // The second header slides from right to left across the reveal
+    id: "header-2-slide",
+    target: ".header-2",
+    range: [0.18, 0.35],
+    from: { xPercent: 100 },
+    to: { xPercent: -100 },
+    tween: { duration: 0.3, ease: "none" },
+  },
+  {
+    // Bring header-2 to the front and fade it in just before the mask reveal
+    id: "header-2-enter",
+    target: ".header-2",
+    range: [0.18, 0.18],
+    from: { opacity: 0, zIndex: 1 },
+    to: { opacity: 1, zIndex: 10 },
+    tween: { duration: 0.3, ease: "power2.out" },
+  },
+  {
+    // Header-2 transitions from white to black as the mask reveals it
+    id: "header-2-color",
+    target: ".header-2",
+    range: [0.18, 0.24],
+    from: { color: "rgb(255, 255, 255)" },
+    to: { color: "rgb(0, 0, 0)" },
+    tween: { duration: 0.15, ease: "power2.out" },
+  },
+  {
+    // The model rotates throughout the entire pinned section
+    id: "model-rotation",
+    target: "model",
+    range: [0, 1],
+    from: { rotationY: 0 },
+    to: { rotationY: Math.PI * 8 },
+    tween: null,
+  },
+];
+
+/**
+ * RETIME PHASES
+ * =============
+ *
+ * Apply per-scene overrides keyed by phase id, e.g.
+ *   { "model-rotation": { range: [0.1, 0.9], to: { rotationY: Math.PI * 4 } } }
+ * `from`/`to` values are merged, everything else replaces the default.
+ * Overrides with a new id are added as extra phases (they need a target,
+ * range, from and to of their own).
+ */
+export function mergePhases(phases, overrides = {}) {
+  const merged = phases.map((phase) => {
+    const override = overrides[phase.id];
+    if (!override) return phase;
+
+    return {
+      ...phase,
+      ...override,
+      from: { ...phase.from, ...override.from },
+      to: { ...phase.to, ...override.to },
+    };
+  });
+
+  const added = Object.entries(overrides)
+    .filter(([id]) => !phases.some((phase) => phase.id === id))
+    .map(([id, phase]) => ({ tween: null, ...phase, id }));
+
+  return [...merged, ...added];
+}
+
+/**
+ * REDUCED MOTION POSES
+ * ====================
+ *
+ * With prefers-reduced-motion the sequence is not scrubbed. Instead the
+ * scene shows a few static poses and crossfades between them:
+ * - from:     Scroll progress where this pose takes over
+ * - progress: The point of the sequence the pose shows
+ */
+export const reducedMotionPoses = [
+  { from: 0, progress: 0.06 }, // Can in place, first header
+  { from: 0.2, progress: 0.3 }, // Mask revealed, second header
+  { from: 0.45, progress: 0.6 }, // Features / tooltips
+  { from: 0.9, progress: 0.95 }, // Full-screen can
+];
+
+/**
+ * Index of the reduced-motion pose for a scroll progress
+ */
+export function getPoseIndex(poses, progress) {
+  let index = 0;
+  poses.forEach((pose, i) => {
+    if (progress >= pose.from) index = i;
+  });
+  return index;
+}
+
+/**
+ * TWEEN HELPERS
+ * =============
+ *
+ * Easing and interpolation come from GSAP, which the page loads as a
+ * global. The functions below take them as an argument so they stay pure
+ * and also run without a page (e.g. unit tests in Node, which pass in the
+ * gsap package). Without the argument the page's GSAP is used.
+ * - parseEase(name):           Returns the ease function, e.g. "power2.out"
+ * - interpolate(from, to, t):  Numbers, colours and strings with numbers
+ */
+export function getGsapHelpers() {
+  return {
+    parseEase: (ease) => gsap.parseEase(ease),
+    interpolate: (from, to, t) => gsap.utils.interpolate(from, to, t),
+  };
+}
+
+/**
+ * PHASE PROGRESS
+ * ==============
+ *
+ * Remap global scroll progress into the 0-1 progress of a single phase.
+ * Zero-length ranges behave like a switch: 0 before the point, 1 after.
+ */
+export function getPhaseProgress(
+  phase,
+  progress,
+  { parseEase } = getGsapHelpers()
+) {
+  const [start, end] = phase.range;
+
+  if (end <= start) return progress >= start ? 1 : 0;
+
+  const linear = Math.max(0, Math.min(1, (progress - start) / (end - start)));
+  return parseEase(phase.ease || "none")(linear);
+}
+
+/**
+ * VALUE INTERPOLATION
+ * ===================
+ *
+ * GSAP's interpolate understands numbers, colors and strings containing
+ * numbers (e.g. "circle(40% at 50% 50%)"). Endpoints are returned as-is so
+ * non-numeric values such as "auto" switch cleanly.
+ */
+function interpolateValue(from, to, t, interpolate) {
+  if (t <= 0) return from;
+  if (t >= 1) return to;
+  return interpolate(from, to, t);
+}
+
+/**
+ * EVALUATE PHASES
+ * ===============
+ *
+ * Work out the values every phase wants at a given progress. When several
+ * phases animate the same property of the same target, the latest phase
+ * that has already started owns it, so sequences can be chained.
+ *
+ * Returns an array of { phase, values } entries (phases without any owned
+ * properties are omitted). `helpers` are the TWEEN HELPERS above.
+ */
+export function evaluatePhases(phases, progress, helpers = getGsapHelpers()) {
+  const owners = new Map(); // "target|property" -> index of owning phase
+
+  phases.forEach((phase, index) => {
+    Object.keys(phase.to).forEach((property) => {
+      const key = `${phase.target}|${property}`;
+      if (!owners.has(key) || progress >= phase.range[0]) {
+        owners.set(key, index);
+      }
+    });
+  });
+
+  return phases
+    .map((phase, index) => {
+      const t = getPhaseProgress(phase, progress, helpers);
+      const values = {};
+
+      Object.keys(phase.to).forEach((property) => {
+        if (owners.get(`${phase.target}|${property}`) !== index) return;
+        values[property] = interpolateValue(
+          phase.from[property],
+          phase.to[property],
+          t,
+          helpers.interpolate
+        );
+      });
+
+      return { phase, values };
+    })
+    .filter(({ values }) => Object.keys(values).length > 0);
+}
+
+/**
+ * CHOREOGRAPHY ENGINE
+ * ===================
+ *
+ * Creates an engine for a list of phases.
+ *
+ * @param {Array} phases - Phase definitions (see scenePhases above)
+ * @param {Object} targets - Named non-DOM targets, e.g.
+ *   { model: (values, tween, phase) => {...} }. A handler receives the
+ *   evaluated values, the phase's follow-tween (null when applied
+ *   instantly) and the phase itself (for extra fields such as `presets`).
+ *
+ * @param {Object} options
+ * - scope: Element that DOM selectors are resolved inside, so several
+ *   scenes on one page don't animate each other's elements
+ *
+ * The returned `update(progress, options)` applies every phase:
+ * - options.immediate: skip follow-tweens and set values directly
+ * - options.target: only apply phases for this target
+ *
+ * `apply(entries, options)` does the same for entries that were already
+ * evaluated (e.g. by computeSceneState in js/scene-state.js).
+ */
+export function createChoreography(phases, targets = {}, { scope } = {}) {
+  const select = scope ? gsap.utils.selector(scope) : (selector) => selector;
+
+  function apply(entries, { immediate = false, target } = {}) {
+    entries.forEach(({ phase, values }) => {
+      if (target && phase.target !== target) return;
+
+      const tween = immediate ? null : phase.tween;
+      const handler = targets[phase.target];
+
+      if (handler) {
+        handler(values, tween, phase);
+      } else if (tween) {
+        gsap.to(select(phase.target), { ...values, ...tween });
+      } else {
+        gsap.set(select(phase.target), values);
+      }
+    });
+  }
+
+  function update(progress, options) {
+    apply(evaluatePhases(phases, progress), options);
+  }
+
+  return { phases, apply, update };
+}
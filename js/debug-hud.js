@@ -0,0 +1,318 @@
+/**
+ * Debug HUD - Live Scene Inspector & Tuning Panel
+ * ===============================================
+ *
+ * Add `?debug` to the URL to get an overlay for every scene on the page:
+ * - Live readouts: scroll progress, active phases, FPS and draw calls,
+ *   camera and model transforms, quality tier, each trigger's start/end
+ * - Controls for every number in modelConfig and for the lighting preset
+ * - "Copy JSON" exports the tuned values in the same shape as the scene's
+ *   JSON config block, ready to paste back (see js/scene-config.js)
+ * - "Lose context" simulates a WebGL context loss to test recovery
+ *
+ * Nothing is added to the page unless the flag is set.
+ *
+ * LEARNING OBJECTIVES:
+ * - Build tools that shorten the edit -> reload -> scroll loop
+ * - Generate form controls from a config object instead of by hand
+ */
+
+import { DEFAULT_PRESET, LIGHTING_PRESETS, resolvePreset } from "./lighting.js";
+
+const QUERY_PARAM = "debug";
+
+/**
+ * Whether the debug HUD was requested (?debug, ?debug=1 / true)
+ */
+export function isDebugEnabled() {
+  const value = new URLSearchParams(window.location.search).get(QUERY_PARAM);
+  return value !== null && value !== "false" && value !== "0";
+}
+
+// One fixed column holds the panels of all scenes
+let column = null;
+
+function getColumn() {
+  if (!column) {
+    column = document.createElement("div");
+    column.className = "debug-hud";
+    gsap.set(column, {
+      position: "fixed",
+      top: "1rem",
+      right: "1rem",
+      bottom: "1rem",
+      zIndex: 10000,
+      width: "20rem",
+      overflowY: "auto",
+      font: "11px/1.4 ui-monospace, monospace",
+      color: "#ffffff",
+      pointerEvents: "none", // Only the panels themselves take input
+    });
+    document.body.appendChild(column);
+  }
+  return column;
+}
+
+function releaseColumn() {
+  if (column && column.childElementCount === 0) {
+    column.remove();
+    column = null;
+  }
+}
+
+/**
+ * Round numbers for display
+ */
+const format = (value, digits = 2) => Number(value).toFixed(digits);
+const formatVector = ({ x, y, z }) =>
+  `${format(x)}, ${format(y)}, ${format(z)}`;
+
+/**
+ * BUILD FIELDS
+ * ============
+ * One input per number (and colour) in a nested config object. Inputs edit
+ * the object in place and call onInput(path) afterwards.
+ */
+function buildFields(parent, object, onInput, path = []) {
+  Object.entries(object).forEach(([key, value]) => {
+    const fieldPath = [...path, key];
+
+    if (value && typeof value === "object") {
+      buildFields(parent, value, onInput, fieldPath);
+      return;
+    }
+
+    const isColor = typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+    if (typeof value !== "number" && !isColor) return;
+
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = isColor ? "color" : "number";
+    input.step = "any";
+    input.value = value;
+    gsap.set(label, { display: "flex", justifyContent: "space-between" });
+    gsap.set(input, { width: "6rem", font: "inherit" });
+
+    input.addEventListener("input", () => {
+      if (!isColor && !Number.isFinite(input.valueAsNumber)) return;
+
+      object[key] = isColor ? input.value : input.valueAsNumber;
+      onInput(fieldPath);
+    });
+
+    label.append(fieldPath.join("."), input);
+    parent.appendChild(label);
+  });
+}
+
+/**
+ * Collapsible section of the panel
+ */
+function createSection(parent, title, open = false) {
+  const details = document.createElement("details");
+  const summary = document.createElement("summary");
+  details.open = open;
+  summary.textContent = title;
+  gsap.set(summary, { cursor: "pointer", fontWeight: "bold" });
+  details.appendChild(summary);
+  parent.appendChild(details);
+  return details;
+}
+
+/**
+ * CREATE DEBUG HUD
+ * ================
+ *
+ * @param {Object} options
+ * - title:             Panel heading (which scene this is)
+ * - sample():          Returns the live readouts (see update below)
+ * - modelConfig:       The scene's modelConfig, edited in place
+ * - onModelConfig():   A modelConfig value changed
+ * - lighting:          Current lighting config (preset name or object)
+ * - onLighting(value): Apply a tuned lighting config
+ * - renderer:          The (shared) WebGLRenderer, for the context loss test
+ *
+ * Returns { frame(renderer), destroy() }. Call frame() after every render
+ * so FPS and draw calls reflect real frames.
+ */
+export function createDebugHud({
+  title,
+  sample,
+  modelConfig,
+  onModelConfig,
+  lighting,
+  onLighting,
+  renderer,
+}) {
+  const panel = document.createElement("div");
+  gsap.set(panel, {
+    marginBottom: "0.5rem",
+    padding: "0.75rem",
+    background: "rgba(0, 0, 0, 0.8)",
+    pointerEvents: "auto",
+  });
+
+  const heading = document.createElement("strong");
+  heading.textContent = title;
+  const readout = document.createElement("pre");
+  gsap.set(readout, { margin: "0.5rem 0", whiteSpace: "pre-wrap" });
+  panel.append(heading, readout);
+
+  /**
+   * MODEL CONFIG CONTROLS
+   */
+  buildFields(createSection(panel, "modelConfig"), modelConfig, onModelConfig);
+
+  /**
+   * LIGHTING CONTROLS
+   * Start from the full current preset so every value can be tuned
+   */
+  const lightingSection = createSection(panel, "lighting");
+  let tunedLighting = null;
+
+  function buildLightingFields(value) {
+    const { preset } = typeof value === "string" ? { preset: value } : value;
+    tunedLighting = {
+      ...resolvePreset(value),
+      preset: preset ?? DEFAULT_PRESET,
+    };
+    tunedLighting.ambient = { ...tunedLighting.ambient };
+    tunedLighting.main = { ...tunedLighting.main };
+    tunedLighting.fill = { ...tunedLighting.fill };
+
+    lightingSection
+      .querySelectorAll("label")
+      .forEach((label) => label.remove());
+    buildFields(lightingSection, tunedLighting, () =>
+      onLighting(tunedLighting)
+    );
+  }
+
+  const presetSelect = document.createElement("select");
+  Object.keys(LIGHTING_PRESETS).forEach((name) => {
+    presetSelect.add(new Option(name, name));
+  });
+  presetSelect.value =
+    (typeof lighting === "string" ? lighting : lighting?.preset) ??
+    DEFAULT_PRESET;
+  presetSelect.addEventListener("change", () => {
+    buildLightingFields(presetSelect.value);
+    onLighting(tunedLighting);
+  });
+  lightingSection.appendChild(presetSelect);
+  buildLightingFields(lighting ?? DEFAULT_PRESET);
+
+  /**
+   * EXPORT
+   * Same shape as the scene's JSON config block
+   */
+  const exportButton = document.createElement("button");
+  exportButton.type = "button";
+  exportButton.textContent = "Copy JSON";
+  gsap.set(exportButton, { marginTop: "0.5rem", font: "inherit" });
+  exportButton.addEventListener("click", () => {
+    const json = JSON.stringify(
+      { modelConfig, lighting: tunedLighting },
+      null,
+      2
+    );
+
+    // The console is the fallback when the clipboard is unavailable or
+    // refuses (insecure origin, permission denied)
+    const logJson = () => {
+      console.log(json);
+      exportButton.textContent = "See console";
+    };
+
+    if (navigator.clipboard?.writeText) {
+      navigator.clipboard
+        .writeText(json)
+        .then(() => (exportButton.textContent = "Copied"), logJson);
+    } else {
+      logJson();
+    }
+  });
+  panel.appendChild(exportButton);
+
+  /**
+   * CONTEXT LOSS TEST
+   * What mobile Safari does after backgrounding: the context (shared by
+   * every scene on the page) goes away and comes back a second later
+   */
+  const loseContextButton = document.createElement("button");
+  loseContextButton.type = "button";
+  loseContextButton.textContent = "Lose context";
+  gsap.set(loseContextButton, { margin: "0.5rem 0 0 0.5rem", font: "inherit" });
+  loseContextButton.addEventListener("click", () => {
+    renderer.forceContextLoss();
+    gsap.delayedCall(1, () => renderer.forceContextRestore());
+  });
+  panel.appendChild(loseContextButton);
+
+  getColumn().appendChild(panel);
+
+  /**
+   * LIVE READOUTS
+   * =============
+   * Frames are counted as they are rendered, so FPS drops to 0 while the
+   * render-on-demand loop is idle. The text is refreshed a few times per
+   * second so the HUD itself stays cheap.
+   */
+  let frames = 0;
+  let fps = 0;
+  let drawCalls = 0;
+  let triangles = 0;
+  let lastSample = performance.now();
+
+  function update() {
+    const now = performance.now();
+    if (now - lastSample < 250) return;
+
+    fps = Math.round((frames * 1000) / (now - lastSample));
+    frames = 0;
+    lastSample = now;
+
+    const state = sample();
+    const lines = [
+      `progress  ${format(state.progress, 3)}`,
+      `phases    ${state.phases.join(", ") || "-"}`,
+      `fps       ${fps}   draw calls ${drawCalls}   triangles ${triangles}`,
+      `tier      ${state.tier}   context ${state.contextLost ? "lost" : "ok"}`,
+      `camera    ${formatVector(state.camera.position)}`,
+    ];
+
+    if (state.model) {
+      lines.push(
+        `model     ${formatVector(state.model.position)}`,
+        `rotation  ${formatVector(state.model.rotation)}`,
+        `scale     ${format(state.model.scale.x)}`
+      );
+    }
+
+    lines.push("triggers");
+    state.triggers.forEach((trigger) => {
+      lines.push(
+        `  ${trigger.vars.id ?? "-"}  ${Math.round(
+          trigger.start
+        )} -> ${Math.round(trigger.end)}`
+      );
+    });
+
+    readout.textContent = lines.join("\n");
+  }
+
+  gsap.ticker.add(update);
+
+  return {
+    frame(renderer) {
+      frames += 1;
+      drawCalls = renderer.info.render.calls;
+      triangles = renderer.info.render.triangles;
+    },
+    destroy() {
+      gsap.ticker.remove(update);
+      panel.remove();
+      releaseColumn();
+    },
+  };
+}
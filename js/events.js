@@ -0,0 +1,84 @@
+/**
+ * Events - What Happens Inside a Scene
+ * ====================================
+ *
+ * Every scene reports what it does - models loading, phases and tooltips
+ * coming and going, scroll depth, interactions, errors - in two ways:
+ *
+ *   // On the instance
+ *   const off = canScene.on("tooltip-enter", ({ title }) => ...);
+ *   off(); // Stop listening
+ *
+ *   // As DOM events on .model-container (they bubble up to document)
+ *   document.addEventListener("canscene:model-loaded", (event) =>
+ *     console.log(event.detail.loadTime)
+ *   );
+ *
+ * Event types and their detail:
+ * - model-loaded      { src, loadTime }   loadTime in milliseconds
+ * - model-select      { src }             A flavour trigger was used
+ * - webgl-fallback    { reason }          "unsupported" or "context-lost":
+ *                                         the poster is shown instead
+ * - context-restored  {}                  3D is back after a context loss
+ * - phase-enter/-leave     { phase }      Choreography phase id
+ * - tooltip-enter/-leave   { index, title }
+ * - scroll-depth      { depth }           25, 50, 75, 100 (% of the pin)
+ * - chapter           { chapter }         Chapter id (see js/chapters.js)
+ * - inspect-open / inspect-close  {}
+ * - drag-start / drag-end         {}
+ * - quality           { tier }            See js/quality.js
+ * - error             { source, message } "model", "label", "environment"
+ *
+ * LEARNING OBJECTIVES:
+ * - Let other code react to a component without reaching into it
+ * - Mirror an internal event API onto standard DOM CustomEvents
+ */
+
+export const EVENT_PREFIX = "canscene:";
+
+/**
+ * CREATE EVENT BUS
+ * ================
+ *
+ * @param {EventTarget} target - Receives a bubbling `canscene:<type>`
+ *   CustomEvent for every emit
+ * @param {Object} options
+ * - forward(type, detail): Also called for every event (analytics)
+ *
+ * Returns { on(type, handler), emit(type, detail), clear() }. on() returns
+ * a function that removes the handler again.
+ */
+export function createEventBus(target, { forward } = {}) {
+  const handlers = new Map(); // type -> Set of handlers
+
+  function on(type, handler) {
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type).add(handler);
+
+    return () => handlers.get(type)?.delete(handler);
+  }
+
+  // A broken listener must not break the scene (or other listeners)
+  function call(handler, ...args) {
+    try {
+      handler(...args);
+    } catch (error) {
+      console.error("Scene event listener failed:", error);
+    }
+  }
+
+  function emit(type, detail = {}) {
+    handlers.get(type)?.forEach((handler) => call(handler, detail));
+    if (forward) call(forward, type, detail);
+
+    target.dispatchEvent(
+      new CustomEvent(`${EVENT_PREFIX}${type}`, { detail, bubbles: true })
+    );
+  }
+
+  return {
+    on,
+    emit,
+    clear: () => handlers.clear(),
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * 3D Hotspots - Tooltips Anchored to Points on the Can
+ * ====================================================
+ *
+ * A tooltip can opt in to tracking a feature on the model. Each frame the
+ * anchor is projected through the camera into screen space and the tooltip
+ * is moved so the tip of its divider line touches the feature. When the
+ * anchor rotates to the back of the can the tooltip fades out.
+ *
+ *   <div class="tooltip"
+ *        data-hotspot="0.9, 0.2, -3.5"   Point in the model's local space
+ *        data-hotspot-node="Top_cap"     ...or a named node in the GLB
+ *        data-hotspot-normal="1, 0, 0">  Optional outward direction (local)
+ *
+ * LEARNING OBJECTIVES:
+ * - Convert between local, world, normalized device and screen coordinates
+ * - Use dot products to decide whether a surface faces the camera
+ */
+
+import * as THREE from "three";
+
+/**
+ * FACING FADE RANGE
+ * =================
+ * Dot product between the anchor's outward normal and the direction to the
+ * camera. Below `hidden` the tooltip is invisible, above `visible` it is
+ * fully shown, and it fades in between as the can turns.
+ */
+export const HOTSPOT_FADE = {
+  hidden: -0.05,
+  visible: 0.25,
+};
+
+// Reusable vectors to avoid allocations in the render loop
+const anchorWorld = new THREE.Vector3();
+const centerWorld = new THREE.Vector3();
+const axisWorld = new THREE.Vector3();
+const normalWorld = new THREE.Vector3();
+const toCamera = new THREE.Vector3();
+const projected = new THREE.Vector3();
+const modelQuaternion = new THREE.Quaternion();
+
+const hotspotCache = new WeakMap(); // tooltip element -> parsed hotspot config
+const centerCache = new WeakMap(); // model -> model center in local space
+
+/**
+ * Parse "x, y, z" into a Vector3 (null when missing or invalid)
+ */
+function parseVector(value) {
+  if (!value) return null;
+
+  const parts = value
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+  if (parts.length !== 3 || parts.some((part) => !Number.isFinite(part))) {
+    console.warn("Invalid hotspot vector, expected 'x, y, z':", value);
+    return null;
+  }
+
+  return new THREE.Vector3(...parts);
+}
+
+/**
+ * READ HOTSPOT
+ * ============
+ * Read the hotspot attributes of a tooltip (null when it has none).
+ */
+export function readHotspot(element) {
+  if (hotspotCache.has(element)) return hotspotCache.get(element);
+
+  const { hotspot, hotspotNode, hotspotNormal } = element.dataset;
+  const config =
+    hotspot || hotspotNode
+      ? {
+          point: parseVector(hotspot),
+          node: hotspotNode || null,
+          normal: parseVector(hotspotNormal),
+        }
+      : null;
+
+  hotspotCache.set(element, config);
+  return config;
+}
+
+/**
+ * Center of the model in its own local space (cached per model)
+ */
+function getModelCenter(model) {
+  if (!centerCache.has(model)) {
+    model.updateMatrixWorld(true);
+    const center = new THREE.Box3()
+      .setFromObject(model)
+      .getCenter(new THREE.Vector3());
+    centerCache.set(model, model.worldToLocal(center));
+  }
+  return centerCache.get(model);
+}
+
+/**
+ * Resolve a hotspot's anchor to a world-space position.
+ * Named nodes use the center of their geometry (or their origin).
+ */
+function getAnchorWorld(model, hotspot, target) {
+  if (hotspot.node) {
+    const node = model.getObjectByName(hotspot.node);
+    if (!node) return null;
+
+    if (node.geometry) {
+      if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+      node.geometry.boundingBox.getCenter(target);
+    } else {
+      target.set(0, 0, 0);
+    }
+    return node.localToWorld(target);
+  }
+
+  if (!hotspot.point) return null;
+  return model.localToWorld(target.copy(hotspot.point));
+}
+
+/**
+ * Outward direction of the anchor in world space. Without an explicit
+ * normal we assume a can: the direction away from its rotation axis.
+ */
+function getNormalWorld(model, hotspot, anchor, target) {
+  if (hotspot.normal) {
+    return target.copy(hotspot.normal).transformDirection(model.matrixWorld);
+  }
+
+  model.getWorldQuaternion(modelQuaternion);
+  axisWorld.set(0, 1, 0).applyQuaternion(modelQuaternion);
+  model.localToWorld(centerWorld.copy(getModelCenter(model)));
+
+  // Remove the component along the axis so only the radial part remains
+  target.subVectors(anchor, centerWorld);
+  target.addScaledVector(axisWorld, -target.dot(axisWorld));
+  return target.normalize();
+}
+
+/**
+ * Screen position of the divider tip (start of the divider path)
+ */
+function getDividerTip(element) {
+  const path = element.querySelector(".divider path");
+  const matrix = path && path.getScreenCTM();
+  if (!matrix) return null;
+
+  const start = path.getPointAtLength(0);
+  return new DOMPoint(start.x, start.y).matrixTransform(matrix);
+}
+
+/**
+ * HOTSPOT TRACKER
+ * ===============
+ *
+ * Creates a tracker bound to the camera and canvas. Call `update(model,
+ * tooltips)` once per rendered frame; tooltips without hotspot attributes
+ * are left untouched.
+ */
+export function createHotspotTracker({ camera, canvas }) {
+  function update(model, tooltips) {
+    if (!model) return;
+
+    const rect = canvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+
+    model.updateMatrixWorld();
+
+    tooltips.forEach(({ element, timeline }) => {
+      const hotspot = readHotspot(element);
+      if (!hotspot) return;
+
+      // Skip tooltips that are fully hidden by their reveal timeline
+      if (
+        timeline.progress() === 0 &&
+        (timeline.paused() || timeline.reversed())
+      ) {
+        return;
+      }
+
+      if (!getAnchorWorld(model, hotspot, anchorWorld)) return;
+
+      // Fade based on how much the anchor faces the camera
+      getNormalWorld(model, hotspot, anchorWorld, normalWorld);
+      toCamera.subVectors(camera.position, anchorWorld).normalize();
+      const facing = normalWorld.lengthSq() ? normalWorld.dot(toCamera) : 1;
+      const visibility = gsap.utils.clamp(
+        0,
+        1,
+        (facing - HOTSPOT_FADE.hidden) /
+          (HOTSPOT_FADE.visible - HOTSPOT_FADE.hidden)
+      );
+
+      gsap.set(element, { autoAlpha: visibility });
+      if (visibility === 0) return;
+
+      // Project into normalized device coordinates (-1 to 1)...
+      projected.copy(anchorWorld).project(camera);
+
+      // ...then into screen pixels relative to the canvas
+      const screenX = rect.left + ((projected.x + 1) / 2) * rect.width;
+      const screenY = rect.top + ((1 - projected.y) / 2) * rect.height;
+
+      // Move the tooltip so the divider tip lands on the anchor
+      const tip = getDividerTip(element);
+      if (!tip) return;
+
+      gsap.set(element, {
+        x: gsap.getProperty(element, "x") + (screenX - tip.x),
+        y: gsap.getProperty(element, "y") + (screenY - tip.y),
+      });
+    });
+  }
+
+  return { update };
+}
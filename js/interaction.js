@@ -0,0 +1,347 @@
+/**
+ * Interaction - Drag-to-Rotate & Inspect Mode
+ * ===========================================
+ *
+ * Two ways to play with the can on top of the scroll choreography:
+ * - Drag (mouse, pen or a horizontal swipe) spins the can. The spin is an
+ *   offset added to the scroll rotation; after release it coasts with
+ *   inertia and eases back to the choreographed pose.
+ * - Inspect mode, offered once the container is full-screen, hands the
+ *   camera to OrbitControls for orbiting and pinch/wheel zoom within
+ *   limits. Closing it flies the camera back and the scroll sequence
+ *   continues where it was.
+ *
+ * LEARNING OBJECTIVES:
+ * - Use Pointer Events for mouse, pen and touch with one code path
+ * - Layer user input on top of an animation instead of fighting it
+ * - Hand the camera to OrbitControls temporarily and restore it afterwards
+ */
+
+import * as THREE from "three";
+import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+
+/**
+ * DRAG SETTINGS
+ * =============
+ */
+export const DRAG_SETTINGS = {
+  sensitivity: 0.01, // Radians of rotation per pixel dragged
+  inertia: 0.3, // Seconds of release velocity the spin carries on for
+  returnDuration: 1.2, // Seconds to ease back to the choreographed pose
+  maxRestMs: 100, // Pointer resting longer than this before release = no fling
+};
+
+/**
+ * INSPECT SETTINGS
+ * ================
+ */
+export const INSPECT_SETTINGS = {
+  minZoom: 0.6, // Closest camera distance, relative to the scroll camera
+  maxZoom: 1.6, // Farthest camera distance, relative to the scroll camera
+  returnDuration: 0.8, // Seconds for the camera to fly back on close
+};
+
+export const INSPECT_TEXT = {
+  open: "Inspect",
+  close: "Close",
+};
+
+const FULL_TURN = Math.PI * 2;
+
+/**
+ * CREATE DRAG ROTATE
+ * ==================
+ *
+ * @param {HTMLElement} element - Surface that receives the drag
+ * @param {Object} options
+ * - onChange(offset): Called whenever the rotation offset changes
+ * - onDragStart() / onDragEnd(): A drag began / the pointer was released
+ * - isReduced():      Skip inertia and easing (prefers-reduced-motion)
+ * - settings:         Overrides for DRAG_SETTINGS
+ *
+ * Returns { offset, setEnabled(enabled), reset(), destroy() }. reset()
+ * drops the offset (and any coasting) at once.
+ */
+export function createDragRotate(
+  element,
+  {
+    onChange,
+    onDragStart = () => {},
+    onDragEnd = () => {},
+    isReduced = () => false,
+    settings,
+  } = {}
+) {
+  const config = { ...DRAG_SETTINGS, ...settings };
+  const state = { offset: 0 };
+  let enabled = true;
+  let pointerId = null;
+  let lastX = 0;
+  let lastTime = 0;
+  let velocity = 0; // Radians per second
+  let releaseTimeline = null;
+
+  // Vertical swipes keep scrolling the page; horizontal ones rotate
+  gsap.set(element, { touchAction: "pan-y", cursor: "grab" });
+
+  const emit = () => onChange(state.offset);
+
+  function onPointerDown(event) {
+    if (!enabled || pointerId !== null || event.button > 0) return;
+
+    // Buttons and links inside the surface keep working normally
+    if (event.target.closest("button, a, input, select")) return;
+
+    pointerId = event.pointerId;
+    lastX = event.clientX;
+    lastTime = event.timeStamp;
+    velocity = 0;
+
+    releaseTimeline?.kill();
+    element.setPointerCapture(pointerId);
+    gsap.set(element, { cursor: "grabbing" });
+    onDragStart();
+  }
+
+  function onPointerMove(event) {
+    if (event.pointerId !== pointerId) return;
+
+    const delta = (event.clientX - lastX) * config.sensitivity;
+    const seconds = Math.max(1, event.timeStamp - lastTime) / 1000;
+
+    // Smooth the velocity a little so one jittery event doesn't dominate
+    velocity = velocity * 0.5 + (delta / seconds) * 0.5;
+    lastX = event.clientX;
+    lastTime = event.timeStamp;
+
+    state.offset += delta;
+    emit();
+  }
+
+  function onPointerUp(event) {
+    if (event.pointerId !== pointerId) return;
+
+    pointerId = null;
+    gsap.set(element, { cursor: "grab" });
+
+    if (event.timeStamp - lastTime > config.maxRestMs) velocity = 0;
+    release();
+    onDragEnd();
+  }
+
+  // Coast, then return to the nearest full turn (the same pose)
+  function release() {
+    const coast = isReduced()
+      ? state.offset
+      : state.offset + velocity * config.inertia;
+    const home = Math.round(coast / FULL_TURN) * FULL_TURN;
+
+    if (isReduced()) {
+      state.offset = home;
+      emit();
+      return;
+    }
+
+    releaseTimeline = gsap
+      .timeline({ onUpdate: emit })
+      .to(state, {
+        offset: coast,
+        duration: config.inertia * 2,
+        ease: "power2.out",
+      })
+      .to(state, {
+        offset: home,
+        duration: config.returnDuration,
+        ease: "power3.inOut",
+      });
+  }
+
+  element.addEventListener("pointerdown", onPointerDown);
+  element.addEventListener("pointermove", onPointerMove);
+  element.addEventListener("pointerup", onPointerUp);
+  element.addEventListener("pointercancel", onPointerUp);
+
+  return {
+    get offset() {
+      return state.offset;
+    },
+    setEnabled(value) {
+      enabled = value;
+      gsap.set(element, { cursor: value ? "grab" : "" });
+    },
+    reset() {
+      releaseTimeline?.kill();
+      velocity = 0;
+      if (state.offset === 0) return;
+
+      state.offset = 0;
+      emit();
+    },
+    destroy() {
+      releaseTimeline?.kill();
+      element.removeEventListener("pointerdown", onPointerDown);
+      element.removeEventListener("pointermove", onPointerMove);
+      element.removeEventListener("pointerup", onPointerUp);
+      element.removeEventListener("pointercancel", onPointerUp);
+      gsap.set(element, { clearProps: "touchAction,cursor" });
+    },
+  };
+}
+
+/**
+ * Create a small outlined button for the inspect controls
+ */
+function createButton(className, text) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = `paragraph-sm u_p_uppercase ${className}`;
+  button.textContent = text;
+  gsap.set(button, {
+    position: "absolute",
+    right: "2rem",
+    bottom: "2rem",
+    zIndex: 2,
+    padding: "0.5rem 1rem",
+    border: "1px solid currentColor",
+    background: "transparent",
+    color: "inherit",
+    cursor: "pointer",
+    autoAlpha: 0, // Hidden (and unfocusable) until offered
+  });
+  return button;
+}
+
+/**
+ * CREATE INSPECT MODE
+ * ===================
+ *
+ * @param {Object} options
+ * - container:        Element that hosts the Inspect / Close buttons
+ * - canvas:           Element OrbitControls listens to
+ * - camera:           The scene camera (looking at the origin)
+ * - onChange():       Camera moved - request a frame
+ * - onToggle(open):   Inspect mode opened or closed
+ * - isReduced():      Skip the camera flight (prefers-reduced-motion)
+ * - settings:         Overrides for INSPECT_SETTINGS
+ *
+ * Returns { isOpen, setAvailable(available), open(), close(options),
+ * update(), destroy() }. Call update() every rendered frame so damping
+ * can settle. close({ immediate: true }) puts the camera home at once,
+ * also when an earlier close() is still flying it there.
+ */
+export function createInspectMode({
+  container,
+  canvas,
+  camera,
+  onChange,
+  onToggle,
+  isReduced = () => false,
+  settings,
+}) {
+  const config = { ...INSPECT_SETTINGS, ...settings };
+  const home = new THREE.Vector3(); // Camera position to return to
+  let controls = null;
+  let available = false;
+
+  const openButton = createButton("inspect_open", INSPECT_TEXT.open);
+  const closeButton = createButton("inspect_close", INSPECT_TEXT.close);
+  container.append(openButton, closeButton);
+
+  function updateButtons() {
+    gsap.set(openButton, { autoAlpha: available && !controls ? 1 : 0 });
+    gsap.set(closeButton, { autoAlpha: controls ? 1 : 0 });
+  }
+
+  function onKeyDown(event) {
+    if (event.key === "Escape") close();
+  }
+
+  function open() {
+    if (controls) return;
+
+    // Reopened mid-flight: keep the original home position
+    if (!gsap.isTweening(camera.position)) home.copy(camera.position);
+    gsap.killTweensOf(camera.position);
+
+    // The scroll camera looks at the origin, so orbit around it
+    const distance = camera.position.length();
+    controls = new OrbitControls(camera, canvas);
+    Object.assign(controls, {
+      enableDamping: true,
+      enablePan: false,
+      minDistance: distance * config.minZoom,
+      maxDistance: distance * config.maxZoom,
+    });
+    controls.addEventListener("change", onChange);
+    document.addEventListener("keydown", onKeyDown);
+
+    onToggle(true);
+    updateButtons();
+    closeButton.focus();
+  }
+
+  function lookHome() {
+    camera.lookAt(0, 0, 0);
+    onChange();
+  }
+
+  function close({ immediate = false } = {}) {
+    const flyingHome = !controls && gsap.isTweening(camera.position);
+    gsap.killTweensOf(camera.position);
+
+    // Already closed, but still flying home: land there now
+    if (flyingHome && immediate) {
+      camera.position.copy(home);
+      lookHome();
+    }
+    if (!controls) return;
+
+    controls.dispose();
+    controls = null;
+    document.removeEventListener("keydown", onKeyDown);
+
+    if (immediate || isReduced()) {
+      camera.position.copy(home);
+      lookHome();
+    } else {
+      gsap.to(camera.position, {
+        x: home.x,
+        y: home.y,
+        z: home.z,
+        duration: config.returnDuration,
+        ease: "power3.inOut",
+        onUpdate: lookHome,
+      });
+    }
+
+    onToggle(false);
+    updateButtons();
+    if (available && !immediate) openButton.focus();
+  }
+
+  openButton.addEventListener("click", open);
+  closeButton.addEventListener("click", () => close());
+
+  return {
+    get isOpen() {
+      return controls !== null;
+    },
+    setAvailable(value) {
+      if (value === available) return;
+
+      available = value;
+      if (!available) close();
+      updateButtons();
+    },
+    open,
+    close,
+    update() {
+      controls?.update();
+    },
+    destroy() {
+      close({ immediate: true });
+      openButton.remove();
+      closeButton.remove();
+    },
+  };
+}
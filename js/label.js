@@ -0,0 +1,171 @@
+/**
+ * Label - Runtime Label Artwork for Personalised Cans
+ * ===================================================
+ *
+ * Swap the can's label without re-exporting the GLB. The new artwork can be:
+ * - An image URL:         "assets/labels/limited-edition.png"
+ * - A <canvas> or <img>:  Anything drawn or loaded by the page
+ * - A text layout:        { text: "Hello\nSam", background: "#ff5a00" }
+ *
+ * The label is found by material name (modelConfig.label.material). Only
+ * the material's `map` changes, so roughness, metalness and the rest of
+ * the finish stay as authored.
+ *
+ * LEARNING OBJECTIVES:
+ * - Understand colour spaces: artwork is sRGB, lighting maths is linear
+ * - Learn why glTF textures use flipY = false
+ * - Dispose replaced textures so swapping labels doesn't leak GPU memory
+ */
+
+import * as THREE from "three";
+
+/**
+ * TEXT LAYOUT DEFAULTS
+ * ====================
+ * Used when the label is generated from text. A label wraps around the
+ * can, so the artwork is much wider than it is tall.
+ */
+export const LABEL_TEXT = {
+  width: 2048, // Canvas size in pixels
+  height: 1024,
+  background: "#ffffff", // Label colour (CSS colour)
+  color: "#000000", // Text colour
+  fontFamily: "sans-serif",
+  fontWeight: "bold",
+  fontSize: 160, // Pixels; shrunk automatically when a line is too wide
+  lineHeight: 1.1, // Multiple of the font size
+  x: 0.5, // Text centre across the label (0-1); 0.5 faces the camera
+  maxWidth: 0.4, // Widest a line may be, as a share of the label width
+};
+
+/**
+ * DRAW LABEL TEXT
+ * ===============
+ * Render a text layout into a new canvas (one line per "\n").
+ */
+export function drawLabelText(layout) {
+  const options = { ...LABEL_TEXT, ...layout };
+  const canvas = document.createElement("canvas");
+  canvas.width = options.width;
+  canvas.height = options.height;
+
+  const context = canvas.getContext("2d");
+  context.fillStyle = options.background;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  const lines = String(options.text ?? "").split("\n");
+  const maxWidth = options.width * options.maxWidth;
+  const font = (size) =>
+    `${options.fontWeight} ${size}px ${options.fontFamily}`;
+
+  // Shrink the font until the widest line fits
+  let fontSize = options.fontSize;
+  context.font = font(fontSize);
+  const widest = Math.max(
+    ...lines.map((line) => context.measureText(line).width)
+  );
+  if (widest > maxWidth) {
+    fontSize = Math.floor((fontSize * maxWidth) / widest);
+    context.font = font(fontSize);
+  }
+
+  // Centre the block of lines vertically
+  const lineHeight = fontSize * options.lineHeight;
+  const top = (options.height - lineHeight * (lines.length - 1)) / 2;
+
+  context.fillStyle = options.color;
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  lines.forEach((line, index) => {
+    context.fillText(line, options.width * options.x, top + index * lineHeight);
+  });
+
+  return canvas;
+}
+
+/**
+ * LOAD LABEL TEXTURE
+ * ==================
+ *
+ * Turn any supported label source into a texture ready for a glTF model.
+ * Resolves with a new texture the caller owns (and must dispose).
+ */
+export async function loadLabelTexture(source) {
+  let texture;
+
+  if (typeof source === "string") {
+    texture = await new THREE.TextureLoader().loadAsync(source);
+  } else if (source instanceof HTMLCanvasElement) {
+    texture = new THREE.CanvasTexture(source);
+  } else if (source instanceof HTMLImageElement) {
+    await source.decode(); // Wait until the image can be uploaded
+    texture = new THREE.Texture(source);
+  } else {
+    texture = new THREE.CanvasTexture(drawLabelText(source));
+  }
+
+  // Artwork is authored in sRGB; without this it looks washed out
+  texture.colorSpace = THREE.SRGBColorSpace;
+
+  // glTF UVs start at the top-left, so images must not be flipped
+  texture.flipY = false;
+  texture.needsUpdate = true;
+
+  return texture;
+}
+
+/**
+ * Set a material's map, recompiling only when a map was added or removed
+ */
+function setMap(material, map) {
+  if (Boolean(material.map) !== Boolean(map)) material.needsUpdate = true;
+  material.map = map;
+}
+
+/**
+ * APPLY LABEL TEXTURE
+ * ===================
+ *
+ * Show `texture` on every label material of a model, or restore the label
+ * the GLB shipped with when `texture` is null. The original texture is
+ * kept in `material.userData.originalMap` and disposed with the model.
+ *
+ * @param {THREE.Object3D} object - A prepared model
+ * @param {THREE.Texture|null} texture
+ * @param {string} name - Label material name
+ * Returns true when the model has a label material.
+ */
+export function applyLabelTexture(object, texture, name) {
+  let found = false;
+
+  object.traverse((node) => {
+    if (!node.isMesh) return;
+
+    // The authored material, even while the quality system simplified it
+    const material = node.userData.fullMaterial ?? node.material;
+    if (Array.isArray(material) || material.name !== name) return;
+
+    found = true;
+
+    if (!("originalMap" in material.userData)) {
+      material.userData.originalMap = material.map;
+    }
+
+    const original = material.userData.originalMap;
+
+    // Keep the original's wrapping and filtering
+    if (texture && original) {
+      texture.wrapS = original.wrapS;
+      texture.wrapT = original.wrapT;
+      texture.anisotropy = original.anisotropy;
+      texture.needsUpdate = true;
+    }
+
+    setMap(material, texture ?? original);
+
+    // A simplified stand-in shows the same artwork
+    if (node.userData.fullMaterial) setMap(node.material, material.map);
+  });
+
+  return found;
+}
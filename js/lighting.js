@@ -0,0 +1,304 @@
+/**
+ * Lighting - Environment Maps & Lighting Presets
+ * ==============================================
+ *
+ * A metallic can only looks like metal when it has something to reflect.
+ * Each preset combines:
+ * - An environment map: "room" (a studio generated in code with
+ *   RoomEnvironment, no download) or the path to a local .hdr / .exr file,
+ *   pre-filtered with PMREM so rough and glossy materials both look right
+ * - Ambient, main (key, casts shadows) and fill lights
+ * - Tone mapping and exposure
+ *
+ * Presets can be chosen per scene (`data-lighting="sunset"`) and blended
+ * from one to another by a choreography phase (see js/choreography.js).
+ * Without a choice the scene keeps the original look ("classic").
+ *
+ * Pre-filtered environments are shared by every scene on the page through
+ * the renderer pool (see SHARED ENVIRONMENTS in js/renderer-pool.js).
+ *
+ * LEARNING OBJECTIVES:
+ * - Understand image-based lighting and why PMREM is needed
+ * - See how tone mapping and exposure map HDR light to screen colours
+ * - Interpolate a whole look (colours, intensities) instead of one value
+ */
+
+import * as THREE from "three";
+import { RoomEnvironment } from "three/addons/environments/RoomEnvironment.js";
+import { RGBELoader } from "three/addons/loaders/RGBELoader.js";
+import { EXRLoader } from "three/addons/loaders/EXRLoader.js";
+
+/**
+ * LIGHTING PRESETS
+ * ================
+ * - environment:          "room", a .hdr/.exr path, or null for none
+ * - environmentIntensity: Strength of the reflections / image-based light
+ * - ambient, main, fill:  { color, intensity } of the three lights
+ * - toneMapping:          "none", "linear", "aces", "agx" or "neutral"
+ * - exposure:             Tone mapping exposure (brightness)
+ */
+export const LIGHTING_PRESETS = {
+  // Neutral product-shot look
+  studio: {
+    environment: "room",
+    environmentIntensity: 1,
+    ambient: { color: "#ffffff", intensity: 0.3 },
+    main: { color: "#ffffff", intensity: 1.2 },
+    fill: { color: "#ffffff", intensity: 0.5 },
+    toneMapping: "aces",
+    exposure: 1,
+  },
+  // Warm key light with a cool fill
+  sunset: {
+    environment: "room",
+    environmentIntensity: 0.7,
+    ambient: { color: "#ffd9b3", intensity: 0.2 },
+    main: { color: "#ff9a4d", intensity: 1.8 },
+    fill: { color: "#6b7cff", intensity: 0.6 },
+    toneMapping: "aces",
+    exposure: 1.1,
+  },
+  // Low-key: mostly the key light and faint reflections
+  dark: {
+    environment: "room",
+    environmentIntensity: 0.25,
+    ambient: { color: "#ffffff", intensity: 0.05 },
+    main: { color: "#ffffff", intensity: 1.5 },
+    fill: { color: "#34446b", intensity: 0.3 },
+    toneMapping: "aces",
+    exposure: 0.8,
+  },
+  // The original setup: lights only, no environment or tone mapping (default)
+  classic: {
+    environment: null,
+    environmentIntensity: 1,
+    ambient: { color: "#ffffff", intensity: 0.9 },
+    main: { color: "#ffffff", intensity: 1 },
+    fill: { color: "#ffffff", intensity: 0.8 },
+    toneMapping: "none",
+    exposure: 1,
+  },
+};
+
+// Used when a scene names no preset (or an unknown one)
+export const DEFAULT_PRESET = "classic";
+
+const TONE_MAPPINGS = {
+  none: THREE.NoToneMapping,
+  linear: THREE.LinearToneMapping,
+  aces: THREE.ACESFilmicToneMapping,
+  agx: THREE.AgXToneMapping,
+  neutral: THREE.NeutralToneMapping,
+};
+
+/**
+ * RESOLVE PRESET
+ * ==============
+ * Accepts a preset name, or an object with an optional `preset` name plus
+ * overrides, e.g. { preset: "studio", environment: "assets/env/loft.hdr" }.
+ */
+export function resolvePreset(value = DEFAULT_PRESET) {
+  if (typeof value === "string") {
+    return LIGHTING_PRESETS[value] ?? LIGHTING_PRESETS[DEFAULT_PRESET];
+  }
+
+  const { preset, ...overrides } = value;
+  const base = LIGHTING_PRESETS[preset] ?? LIGHTING_PRESETS[DEFAULT_PRESET];
+
+  return {
+    ...base,
+    ...overrides,
+    ambient: { ...base.ambient, ...overrides.ambient },
+    main: { ...base.main, ...overrides.main },
+    fill: { ...base.fill, ...overrides.fill },
+  };
+}
+
+/**
+ * CREATE LIGHTING
+ * ===============
+ *
+ * @param {Object} options
+ * - scene:        The THREE.Scene to light
+ * - environments: The pool's shared environment cache (view.environments)
+ * - settings:     Object receiving { toneMapping, toneMappingExposure }
+ *                 (the render view's settings, see js/renderer-pool.js)
+ * - onChange:     Called when something visible changed (e.g. an HDR loaded)
+ * - onError:      Called with the error when an environment map fails to load
+ *
+ * Returns:
+ * - mainLight:            The shadow-casting key light
+ * - use(preset):          Apply a preset instantly
+ * - blend(from, to, t):   Apply a mix of two presets (t = 0-1)
+ * - restore():            Rebuild GPU-side state after a WebGL context loss
+ *                         (the pool has emptied its environment cache)
+ * - dispose()
+ */
+export function createLighting({
+  scene,
+  environments,
+  settings,
+  onChange,
+  onError = () => {},
+}) {
+  /**
+   * AMBIENT LIGHT - Overall scene illumination
+   * Provides base lighting so no part of the model is completely black
+   */
+  const ambientLight = new THREE.AmbientLight();
+  scene.add(ambientLight);
+
+  /**
+   * MAIN LIGHT - Primary directional light with shadows
+   * This is like the sun - provides main illumination and creates shadows
+   */
+  const mainLight = new THREE.DirectionalLight();
+  mainLight.position.set(1, 1, 3); // Position above and to the side
+  mainLight.shadow.bias = -0.001; // Prevent shadow acne (visual artifacts)
+  mainLight.shadow.camera.near = 0.1; // Shadow camera near plane
+  mainLight.shadow.camera.far = 10; // Shadow camera far plane
+  scene.add(mainLight);
+
+  /**
+   * FILL LIGHT - Secondary light to soften harsh shadows
+   * This fills in the dark areas created by the main light
+   */
+  const fillLight = new THREE.DirectionalLight();
+  fillLight.position.set(-2, 0, -2); // Opposite side from main light
+  scene.add(fillLight);
+
+  const lights = { ambient: ambientLight, main: mainLight, fill: fillLight };
+
+  /**
+   * ENVIRONMENT MAPS
+   * ================
+   * Pre-filtered once per source for the whole page (the pool caches them);
+   * loading is asynchronous, so the most recently requested environment
+   * wins.
+   */
+  let environmentSource = null;
+
+  function filterEnvironment(source, pmrem) {
+    if (source === "room") {
+      // Generated studio: no download, good default reflections
+      const room = new RoomEnvironment();
+      const { texture } = pmrem.fromScene(room, 0.04);
+      room.dispose();
+      return Promise.resolve(texture);
+    }
+
+    const loader = /\.exr$/i.test(source) ? new EXRLoader() : new RGBELoader();
+    return loader.loadAsync(source).then((texture) => {
+      const { texture: environment } = pmrem.fromEquirectangular(texture);
+      texture.dispose(); // Only the pre-filtered version is needed
+      return environment;
+    });
+  }
+
+  function loadEnvironment(source) {
+    const request = environments.load(source, (pmrem) =>
+      filterEnvironment(source, pmrem)
+    );
+
+    request.catch((error) => {
+      console.error("Failed to load environment map:", error);
+      onError(error);
+    });
+    return request;
+  }
+
+  function setEnvironment(source) {
+    if (source === environmentSource) return;
+    environmentSource = source;
+
+    if (!source) {
+      scene.environment = null;
+      onChange();
+      return;
+    }
+
+    loadEnvironment(source).then(
+      (texture) => {
+        if (environmentSource !== source) return; // Superseded
+        scene.environment = texture;
+        onChange();
+      },
+      () => {}
+    );
+  }
+
+  /**
+   * BLEND PRESETS
+   * =============
+   * Colours, intensities and exposure interpolate; the environment map and
+   * tone mapping type switch halfway.
+   */
+  const colorA = new THREE.Color();
+  const colorB = new THREE.Color();
+
+  function blend(from, to, t) {
+    const a = resolvePreset(from);
+    const b = resolvePreset(to);
+    const discrete = t < 0.5 ? a : b;
+
+    Object.entries(lights).forEach(([name, light]) => {
+      colorA.set(a[name].color);
+      colorB.set(b[name].color);
+      light.color.lerpColors(colorA, colorB, t);
+      light.intensity = THREE.MathUtils.lerp(
+        a[name].intensity,
+        b[name].intensity,
+        t
+      );
+    });
+
+    setEnvironment(discrete.environment);
+    scene.environmentIntensity = THREE.MathUtils.lerp(
+      a.environmentIntensity,
+      b.environmentIntensity,
+      t
+    );
+
+    settings.toneMapping =
+      TONE_MAPPINGS[discrete.toneMapping] ?? THREE.NoToneMapping;
+    settings.toneMappingExposure = THREE.MathUtils.lerp(
+      a.exposure,
+      b.exposure,
+      t
+    );
+
+    onChange();
+  }
+
+  /**
+   * RESTORE
+   * =======
+   * Pre-filtered environments and the shadow map only ever existed on the
+   * GPU, so a lost context leaves them blank. Request the current
+   * environment again (the first scene to ask filters it for all) and let
+   * the shadow map be recreated on next use.
+   */
+  function restore() {
+    const source = environmentSource;
+
+    environmentSource = null;
+    scene.environment = null;
+    setEnvironment(source);
+
+    mainLight.shadow.map?.dispose();
+    mainLight.shadow.map = null;
+  }
+
+  return {
+    mainLight,
+    use: (preset) => blend(preset, preset, 1),
+    blend,
+    restore,
+    dispose() {
+      // The environment stays cached for other scenes (the pool owns it)
+      environmentSource = null;
+      scene.environment = null;
+      mainLight.shadow.dispose();
+    },
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * Model Status - Poster, Loading Progress & Error State
+ * =====================================================
+ *
+ * Overlay inside `.model-container` that covers the moments where there is
+ * no can to look at yet (or ever):
+ * - A static poster image (`data-poster` on the container) until the first
+ *   frame renders, while the WebGL context is lost, or permanently when
+ *   loading fails / WebGL is missing
+ * - A loading bar driven by the real byte progress of the GLB download
+ * - An error message with a retry button
+ *
+ *   <div class="model-container"
+ *        data-poster="images/can-poster.webp"
+ *        data-poster-alt="CTRL-Z can, Ghost Citrus flavour">
+ *
+ * LEARNING OBJECTIVES:
+ * - Surface asynchronous loading state to the user
+ * - Degrade gracefully instead of leaving an empty section
+ */
+
+/**
+ * STATUS COPY
+ * ===========
+ */
+export const STATUS_MESSAGES = {
+  loading: "Loading",
+  error: "The 3D can couldn't be loaded.",
+  retry: "Retry",
+  unsupported: "3D visualization not supported on this device.",
+  unsupportedHint: "Please use a modern browser with WebGL support.",
+  contextLost: "Restoring the 3D view...",
+};
+
+/**
+ * Create an element with a class and optional text
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  element.className = className;
+  if (text) element.textContent = text;
+  return element;
+}
+
+/**
+ * CREATE MODEL STATUS
+ * ===================
+ *
+ * Builds the overlay and returns controls for each state:
+ * - progress(event): Update the loading bar from a ProgressEvent
+ * - ready():         First frame rendered - hide poster and loader
+ * - error(onRetry):  Show the poster plus an error with a retry button
+ * - unsupported():   Show the poster plus the "no WebGL" message
+ * - contextLost():   Bring the poster back until ready() is called again
+ */
+export function createModelStatus(container) {
+  const { poster, posterAlt = "" } = container.dataset;
+
+  const root = createElement("div", "model-status");
+  gsap.set(root, {
+    position: "absolute",
+    inset: 0,
+    zIndex: 1,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    pointerEvents: "none",
+  });
+
+  // Poster image shown until the first WebGL frame
+  let posterImage = null;
+  if (poster) {
+    posterImage = createElement("img", "model-status_poster");
+    posterImage.src = poster;
+    posterImage.alt = posterAlt;
+    gsap.set(posterImage, {
+      position: "absolute",
+      inset: 0,
+      width: "100%",
+      height: "100%",
+      objectFit: "contain",
+    });
+    root.appendChild(posterImage);
+  }
+
+  // Loading indicator: thin bar plus percentage label
+  const loader = createElement("div", "model-status_loader");
+  const track = createElement("div", "model-status_track");
+  const bar = createElement("div", "model-status_bar");
+  const label = createElement(
+    "div",
+    "paragraph-sm u_p_uppercase model-status_label",
+    STATUS_MESSAGES.loading
+  );
+  gsap.set(loader, {
+    position: "relative",
+    width: "12rem",
+    textAlign: "center",
+  });
+  gsap.set(track, { height: 2, background: "currentColor", opacity: 0.2 });
+  gsap.set(bar, {
+    position: "absolute",
+    top: 0,
+    left: 0,
+    height: 2,
+    width: "100%",
+    background: "currentColor",
+    scaleX: 0,
+    transformOrigin: "left center",
+  });
+  gsap.set(label, { marginTop: "0.5rem" });
+  loader.append(track, bar, label);
+  loader.setAttribute("role", "progressbar");
+  loader.setAttribute("aria-valuemin", "0");
+  loader.setAttribute("aria-valuemax", "100");
+  root.appendChild(loader);
+
+  // Error / unsupported message (hidden until needed)
+  const message = createElement("div", "model-status_message");
+  gsap.set(message, {
+    position: "relative",
+    textAlign: "center",
+    padding: 20,
+    display: "none",
+    pointerEvents: "auto",
+  });
+  root.appendChild(message);
+
+  container.appendChild(root);
+
+  function showMessage(lines, action) {
+    gsap.set(loader, { display: "none" });
+    message.replaceChildren(
+      ...lines.map((line) =>
+        createElement("p", "paragraph-sm u_p_uppercase", line)
+      )
+    );
+    if (action) message.appendChild(action);
+    gsap.set(message, { display: "block" });
+    if (posterImage) gsap.set(posterImage, { autoAlpha: 1 });
+  }
+
+  return {
+    progress({ loaded, total, lengthComputable }) {
+      if (!lengthComputable || !total) {
+        // Server didn't send a Content-Length: show the bytes we have
+        label.textContent = `${STATUS_MESSAGES.loading} ${Math.round(
+          loaded / 1024
+        )} KB`;
+        return;
+      }
+
+      const percent = Math.round((loaded / total) * 100);
+      gsap.to(bar, { scaleX: loaded / total, duration: 0.2, ease: "none" });
+      label.textContent = `${STATUS_MESSAGES.loading} ${percent}%`;
+      loader.setAttribute("aria-valuenow", String(percent));
+    },
+
+    loading() {
+      gsap.set(message, { display: "none" });
+      gsap.set(loader, { display: "block" });
+      gsap.set(bar, { scaleX: 0 });
+      label.textContent = STATUS_MESSAGES.loading;
+    },
+
+    ready() {
+      gsap.killTweensOf(root);
+      gsap.to(root, {
+        autoAlpha: 0,
+        duration: 0.4,
+        ease: "power2.out",
+        onComplete: () => gsap.set(root, { display: "none" }),
+      });
+    },
+
+    error(onRetry) {
+      const retry = createElement(
+        "button",
+        "model-status_retry",
+        STATUS_MESSAGES.retry
+      );
+      retry.type = "button";
+      gsap.set(retry, {
+        marginTop: 10,
+        padding: "0.5rem 1rem",
+        border: "1px solid currentColor",
+        background: "transparent",
+        color: "inherit",
+        cursor: "pointer",
+      });
+      retry.addEventListener("click", () => onRetry(), { once: true });
+
+      showMessage([STATUS_MESSAGES.error], retry);
+    },
+
+    unsupported() {
+      showMessage([
+        STATUS_MESSAGES.unsupported,
+        STATUS_MESSAGES.unsupportedHint,
+      ]);
+    },
+
+    contextLost() {
+      gsap.killTweensOf(root);
+      gsap.set(root, { display: "flex", autoAlpha: 1 });
+      showMessage([STATUS_MESSAGES.contextLost]);
+    },
+
+    destroy() {
+      gsap.killTweensOf([root, bar]);
+      root.remove();
+    },
+  };
+}
@@ -0,0 +1,165 @@
+/**
+ * Model Library - Cached GLB Variants & Crossfades
+ * ================================================
+ *
+ * Loads GLB files once, prepares them with the scene's normalisation pass
+ * (scale, material tweaks, size) and caches the result per URL, so
+ * switching back to a flavour that was already shown is instant.
+ *
+ * LEARNING OBJECTIVES:
+ * - Cache asynchronous work by storing promises, not results
+ * - Fade whole object hierarchies by animating material opacity
+ */
+
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+
+/**
+ * MODEL LIBRARY
+ * =============
+ *
+ * @param {Function} prepare - Called once per loaded GLB with `gltf.scene`;
+ *   returns the object to add to the scene.
+ *
+ * `load(src, onProgress)` resolves with the prepared model. Failed loads are
+ * removed from the cache so they can be retried. `dispose()` frees the GPU
+ * resources of every cached model.
+ */
+export function createModelLibrary(prepare) {
+  const loader = new GLTFLoader();
+  const cache = new Map(); // absolute URL -> Promise<model>
+
+  const resolve = (src) => new URL(src, document.baseURI).href;
+
+  function load(src, onProgress) {
+    const url = resolve(src);
+
+    if (!cache.has(url)) {
+      const request = loader
+        .loadAsync(url, onProgress)
+        .then((gltf) => prepare(gltf.scene));
+
+      // Forget failed requests so a retry hits the network again
+      request.catch(() => cache.delete(url));
+      cache.set(url, request);
+    }
+
+    return cache.get(url);
+  }
+
+  function dispose() {
+    cache.forEach((request) => request.then(disposeModel, () => {}));
+    cache.clear();
+  }
+
+  return {
+    load,
+    has: (src) => cache.has(resolve(src)),
+    dispose,
+  };
+}
+
+/**
+ * DISPOSE MODEL
+ * =============
+ *
+ * Three.js does not free GPU memory on its own: geometries, materials and
+ * textures have to be disposed explicitly. Materials swapped out by the
+ * quality system (userData.fullMaterial) are disposed as well, and so are
+ * textures parked in a material's userData (e.g. a replaced label).
+ */
+export function disposeModel(object) {
+  object.traverse((node) => {
+    if (!node.isMesh) return;
+
+    node.geometry.dispose();
+
+    [node.userData.fullMaterial]
+      .concat(node.material)
+      .filter(Boolean)
+      .forEach((material) => {
+        [
+          ...Object.values(material),
+          ...Object.values(material.userData),
+        ].forEach((value) => {
+          if (value?.isTexture) value.dispose();
+        });
+        material.dispose();
+      });
+  });
+
+  object.removeFromParent();
+}
+
+/**
+ * Collect every material used by meshes in an object hierarchy
+ */
+function getMaterials(object) {
+  const materials = new Set();
+  object.traverse((node) => {
+    if (node.isMesh) [].concat(node.material).forEach((m) => materials.add(m));
+  });
+  return [...materials];
+}
+
+/**
+ * FADE MODEL
+ * ==========
+ *
+ * Fade an object's materials to the given opacity (0-1, relative to each
+ * material's own opacity). Materials are made transparent while fading
+ * and restored once fully visible again. Resolves when the fade completes.
+ * `onUpdate` runs after every step, e.g. to request a new frame.
+ */
+export function fadeModel(
+  object,
+  opacity,
+  { duration = 0.6, from, onUpdate } = {}
+) {
+  const materials = getMaterials(object);
+
+  materials.forEach((material) => {
+    if (material.userData.baseOpacity === undefined) {
+      material.userData.baseOpacity = material.opacity;
+      material.userData.baseTransparent = material.transparent;
+    }
+    if (!material.transparent) {
+      material.transparent = true;
+      material.needsUpdate = true;
+    }
+  });
+
+  // Stop any fade still running on this object and continue from its value
+  const previous = object.userData.fadeState;
+  if (previous) gsap.killTweensOf(previous);
+
+  const state = { opacity: from ?? previous?.opacity ?? 1 };
+  object.userData.fadeState = state;
+
+  const apply = () => {
+    materials.forEach((material) => {
+      material.opacity = material.userData.baseOpacity * state.opacity;
+    });
+    if (onUpdate) onUpdate();
+  };
+  apply();
+
+  return new Promise((resolve) => {
+    gsap.to(state, {
+      opacity,
+      duration,
+      ease: "power2.inOut",
+      onUpdate: apply,
+      onComplete: () => {
+        if (opacity >= 1) {
+          // Fully visible again: restore the original blending setup
+          materials.forEach((material) => {
+            material.transparent = material.userData.baseTransparent;
+            material.needsUpdate = true;
+          });
+        }
+        resolve();
+      },
+      onInterrupt: resolve, // Superseded by a newer fade
+    });
+  });
+}
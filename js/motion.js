@@ -0,0 +1,88 @@
+/**
+ * Motion Preference - prefers-reduced-motion Support
+ * ==================================================
+ *
+ * Decides whether the experience runs in reduced-motion mode and tells the
+ * scene when that changes. Sources, in order of priority:
+ * 1. Query param:  ?reduced-motion (or =true / =1), ?reduced-motion=false
+ * 2. Attribute:    <html data-reduced-motion="true|false">
+ * 3. OS setting:   prefers-reduced-motion: reduce (reacts live)
+ *
+ * LEARNING OBJECTIVES:
+ * - Respect user accessibility preferences from the operating system
+ * - Listen to media query changes instead of reading them once
+ */
+
+const QUERY_PARAM = "reduced-motion";
+
+/**
+ * Parse "true"/"1"/"" as on and "false"/"0" as off (null when unknown)
+ */
+function parseFlag(value) {
+  if (value === null || value === undefined) return null;
+  if (value === "" || value === "true" || value === "1") return true;
+  if (value === "false" || value === "0") return false;
+  return null;
+}
+
+/**
+ * READ MOTION OVERRIDE
+ * ====================
+ * Forced mode from the URL or the <html> attribute (null = follow the OS)
+ */
+export function readMotionOverride() {
+  const fromQuery = parseFlag(
+    new URLSearchParams(window.location.search).get(QUERY_PARAM)
+  );
+  if (fromQuery !== null) return fromQuery;
+
+  return parseFlag(document.documentElement.dataset.reducedMotion);
+}
+
+/**
+ * CREATE MOTION PREFERENCE
+ * ========================
+ *
+ * Returns:
+ * - reduced:        Current mode (boolean getter)
+ * - onChange(fn):   fn(reduced) runs whenever the mode flips
+ * - destroy():      Stop listening
+ */
+export function createMotionPreference() {
+  const media = window.matchMedia("(prefers-reduced-motion: reduce)");
+  const listeners = new Set();
+
+  const compute = () => readMotionOverride() ?? media.matches;
+  let reduced = compute();
+
+  function update() {
+    const next = compute();
+    if (next === reduced) return;
+
+    reduced = next;
+    listeners.forEach((listener) => listener(reduced));
+  }
+
+  // OS setting changes and edits to the <html> attribute apply live
+  media.addEventListener("change", update);
+  const observer = new MutationObserver(update);
+  observer.observe(document.documentElement, {
+    attributes: true,
+    attributeFilter: ["data-reduced-motion"],
+  });
+
+  return {
+    get reduced() {
+      return reduced;
+    },
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    destroy() {
+      media.removeEventListener("change", update);
+      observer.disconnect();
+      listeners.clear();
+    },
+  };
+}
@@ -0,0 +1,224 @@
+/**
+ * Navigation Theme Engine - Logo & Menu Colours per Section
+ * =========================================================
+ *
+ * The nav is fixed, so its colours have to follow whatever section is
+ * scrolling underneath it. Sections declare a theme instead of each one
+ * needing its own ScrollTrigger with hardcoded colours:
+ *
+ *   <section data-nav-theme="light">          Light background -> dark nav
+ *   <section data-nav-theme="dark">           Dark background -> white nav
+ *   <section data-nav-theme="#ff5a00">        Any CSS colour works as well
+ *
+ * A section can also change theme part-way through (e.g. when the circular
+ * mask reveals a light background):
+ *
+ *   <section data-nav-theme-stops="0.2 dark, 0.28 light">
+ *
+ * Stop positions are the section's scroll progress (0-1). For a pinned
+ * section that is the pin's progress - the same numbers as the phases in
+ * js/choreography.js. Between stops, and where two sections meet under the
+ * nav, the colours are interpolated.
+ *
+ * LEARNING OBJECTIVES:
+ * - Replace scattered per-section triggers with one data-driven engine
+ * - Compute a value from scroll position instead of firing tweens
+ */
+
+/**
+ * NAV THEMES
+ * ==========
+ * Theme names describe the section background; the values are the CSS
+ * properties applied to the nav targets.
+ */
+export const NAV_THEMES = {
+  light: { color: "#000000" }, // Light section -> black logo and menu
+  dark: { color: "#ffffff" }, // Dark section -> white logo and menu
+};
+
+const THEMED_SECTIONS = "[data-nav-theme], [data-nav-theme-stops]";
+
+/**
+ * Look up a theme by name; anything else is treated as a colour
+ */
+function resolveTheme(token, themes) {
+  return themes[token] ?? { color: token };
+}
+
+/**
+ * READ NAV STOPS
+ * ==============
+ * Parse a section's theme declaration into sorted { at, theme } stops.
+ */
+export function readNavStops(section, themes = NAV_THEMES) {
+  const { navTheme, navThemeStops } = section.dataset;
+
+  const stops = (navThemeStops || "")
+    .split(",")
+    .map((stop) => stop.trim().split(/\s+/))
+    .filter(([at, token]) => token && Number.isFinite(parseFloat(at)))
+    .map(([at, token]) => ({
+      at: parseFloat(at),
+      theme: resolveTheme(token, themes),
+    }))
+    .sort((a, b) => a.at - b.at);
+
+  if (stops.length > 0) return stops;
+  return [{ at: 0, theme: resolveTheme(navTheme, themes) }];
+}
+
+/**
+ * Blend two themes property by property (t = 0 -> a, t = 1 -> b)
+ */
+function mixThemes(a, b, t) {
+  const mixed = {};
+
+  Object.keys(b).forEach((property) => {
+    mixed[property] =
+      a[property] === undefined
+        ? b[property]
+        : gsap.utils.interpolate(a[property], b[property], t);
+  });
+
+  return mixed;
+}
+
+/**
+ * The theme at a progress value, interpolated between the nearest stops
+ */
+export function getThemeAt(stops, progress) {
+  const next = stops.findIndex(({ at }) => progress < at);
+
+  if (next === 0) return stops[0].theme;
+  if (next === -1) return stops[stops.length - 1].theme;
+
+  const from = stops[next - 1];
+  const to = stops[next];
+  return mixThemes(
+    from.theme,
+    to.theme,
+    (progress - from.at) / (to.at - from.at)
+  );
+}
+
+/**
+ * CREATE NAV THEME
+ * ================
+ *
+ * @param {Object} options
+ * - nav:     The fixed nav (its height is the band where sections blend)
+ * - targets: Elements that receive the theme's properties
+ * - themes:  Named themes (defaults to NAV_THEMES)
+ *
+ * Runs from a single page-long ScrollTrigger. Properties are set directly
+ * (no tweens) and only when the computed theme actually changed.
+ * Returns { update(), destroy() }.
+ */
+export function createNavTheme({
+  nav = ".nav",
+  targets = ".logo, .nav-menu_btn",
+  themes = NAV_THEMES,
+} = {}) {
+  const navElement = document.querySelector(nav);
+  const targetElements = gsap.utils.toArray(targets);
+  let sections = [];
+  let appliedTheme = null;
+  let appliedKey = "";
+
+  // Re-read sections on every ScrollTrigger refresh (pins, new scenes)
+  function collectSections() {
+    sections = [...document.querySelectorAll(THEMED_SECTIONS)].map(
+      (element) => ({ element, stops: readNavStops(element, themes) })
+    );
+  }
+
+  // Progress of a section at a viewport line (pinned: the pin's progress)
+  function getSectionProgress(element, y) {
+    const pin = ScrollTrigger.getAll().find(
+      (trigger) => trigger.pin === element
+    );
+
+    if (pin) {
+      return gsap.utils.clamp(
+        0,
+        1,
+        (pin.scroll() - pin.start) / (pin.end - pin.start || 1)
+      );
+    }
+
+    const rect = element.getBoundingClientRect();
+    return (y - rect.top) / rect.height;
+  }
+
+  // Section under a viewport line and its theme there (null when unthemed)
+  function sampleLine(y) {
+    const section = sections.find(({ element }) => {
+      const rect = element.getBoundingClientRect();
+      return y >= rect.top && y < rect.bottom;
+    });
+
+    if (!section) return null;
+    return {
+      section,
+      theme: getThemeAt(section.stops, getSectionProgress(section.element, y)),
+    };
+  }
+
+  function update() {
+    const band = navElement
+      ? navElement.getBoundingClientRect()
+      : { top: 0, bottom: 0, height: 0 };
+
+    const top = sampleLine(band.top);
+    const bottom = sampleLine(band.bottom);
+    let theme;
+
+    if (top && bottom && top.section !== bottom.section) {
+      // Two sections meet under the nav: blend by how far the lower one has come up
+      const boundary = bottom.section.element.getBoundingClientRect().top;
+      theme = mixThemes(
+        top.theme,
+        bottom.theme,
+        (band.bottom - boundary) / band.height
+      );
+    } else {
+      theme = sampleLine((band.top + band.bottom) / 2)?.theme ?? top?.theme;
+    }
+
+    // Over an unthemed area the nav keeps its current colours
+    if (!theme) return;
+
+    const key = JSON.stringify(theme);
+    if (key === appliedKey) return;
+
+    appliedKey = key;
+    appliedTheme = theme;
+    gsap.set(targetElements, theme);
+  }
+
+  const trigger = ScrollTrigger.create({
+    start: 0,
+    end: "max",
+    onUpdate: update,
+    onRefresh: () => {
+      collectSections();
+      update();
+    },
+  });
+
+  collectSections();
+  update();
+
+  return {
+    update,
+    destroy() {
+      trigger.kill();
+
+      if (appliedTheme) {
+        gsap.set(targetElements, {
+          clearProps: Object.keys(appliedTheme).join(","),
+        });
+      }
+    },
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * Adaptive Quality Governor
+ * =========================
+ *
+ * Measures real frame times while the pinned sequence is playing and steps
+ * rendering quality down (or back up) through a list of tiers. Low-end
+ * phones end up with a lower pixel ratio and no shadows instead of a
+ * stuttering 4-viewport scrub.
+ *
+ * Frame times are measured between animation frames, which can never be
+ * shorter than the display's refresh interval (16.7ms at 60Hz, 8.3ms at
+ * 120Hz). Thresholds are therefore ratios of that interval: "keeps up
+ * with the display" can be reached on any screen, so a tier that was
+ * dropped during a slow patch comes back once frames are fast again.
+ *
+ * Antialiasing can only be chosen when a WebGL context is created, so the
+ * tier is remembered for the session and applied on the next page load.
+ *
+ * LEARNING OBJECTIVES:
+ * - Measure performance on the user's device instead of guessing
+ * - Use hysteresis (separate up/down thresholds + cooldown) to avoid flicker
+ */
+
+import * as THREE from "three";
+
+/**
+ * QUALITY TIERS
+ * =============
+ * Ordered from best to cheapest.
+ * - pixelRatio:        Upper limit for devicePixelRatio
+ * - shadows:           Render the main light's shadow map
+ * - shadowMapSize:     Shadow map resolution
+ * - antialias:         MSAA (applied when the renderer is created)
+ * - simplifyMaterials: Swap PBR materials for cheaper Lambert shading
+ */
+export const QUALITY_TIERS = [
+  {
+    name: "high",
+    pixelRatio: 2,
+    shadows: true,
+    shadowMapSize: 512,
+    antialias: true,
+    simplifyMaterials: false,
+  },
+  {
+    name: "medium",
+    pixelRatio: 1.5,
+    shadows: true,
+    shadowMapSize: 256,
+    antialias: true,
+    simplifyMaterials: false,
+  },
+  {
+    name: "low",
+    pixelRatio: 1,
+    shadows: false,
+    shadowMapSize: 256,
+    antialias: false,
+    simplifyMaterials: false,
+  },
+  {
+    name: "minimal",
+    pixelRatio: 0.75,
+    shadows: false,
+    shadowMapSize: 256,
+    antialias: false,
+    simplifyMaterials: true,
+  },
+];
+
+/**
+ * GOVERNOR THRESHOLDS
+ * ===================
+ */
+export const QUALITY_THRESHOLDS = {
+  downgradeRatio: 1.35, // Average > 1.35 refresh intervals (~45fps) -> down
+  upgradeRatio: 1.1, // Average within 1.1 refresh intervals -> step up
+  slowWindows: 2, // Consecutive slow averages needed to step down
+  sampleSize: 60, // Frames averaged before each decision
+  cooldownMs: 2000, // Minimum time between two tier changes
+  upgradeDelayMs: 10000, // Minimum time after stepping down before trying up
+  maxFrameGapMs: 100, // Longer gaps are never frame times (safety net)
+  maxRefreshMs: 1000 / 60, // Refresh interval assumed at most (60Hz)
+};
+
+const STORAGE_KEY = "canScene.qualityTier";
+
+/**
+ * Tier index remembered from earlier in this session (0 when unknown)
+ */
+export function getStoredQualityTier(tiers = QUALITY_TIERS) {
+  try {
+    const stored = parseInt(sessionStorage.getItem(STORAGE_KEY), 10);
+    return stored >= 0 && stored < tiers.length ? stored : 0;
+  } catch (error) {
+    return 0; // Storage can be blocked (privacy modes, sandboxed iframes)
+  }
+}
+
+/**
+ * CREATE QUALITY GOVERNOR
+ * =======================
+ *
+ * @param {Object} options
+ * - tiers, thresholds: Override the defaults above
+ * - initialTier:       Starting tier index
+ * - onChange(tier, index): Called whenever the tier changes
+ *
+ * Call `sample(timestamp)` once per rendered frame while the sequence is
+ * active, and `reset()` when sampling pauses or the render loop was idle
+ * before this frame (so idle gaps don't count, however short).
+ * The tier is remembered for the session in both directions, so the next
+ * page load starts from the latest decision, not the worst one.
+ */
+export function createQualityGovernor({
+  tiers = QUALITY_TIERS,
+  thresholds = {},
+  initialTier = getStoredQualityTier(tiers),
+  onChange = () => {},
+} = {}) {
+  const limits = { ...QUALITY_THRESHOLDS, ...thresholds };
+  let index = initialTier;
+  let lastFrame = null;
+  let lastChange = -Infinity;
+  let lastDowngrade = -Infinity;
+  let samples = [];
+  let slowCount = 0; // Consecutive averages above the downgrade threshold
+
+  // Shortest refresh interval seen so far, capped so a device that is slow
+  // from the first frame is still measured against a 60Hz display
+  let refreshMs = limits.maxRefreshMs;
+
+  function setTier(nextIndex, timestamp) {
+    if (nextIndex > index) lastDowngrade = timestamp;
+
+    index = nextIndex;
+    lastChange = timestamp;
+    samples = [];
+    slowCount = 0;
+
+    try {
+      sessionStorage.setItem(STORAGE_KEY, String(index));
+    } catch (error) {
+      // Not fatal: the tier just won't carry over to the next page load
+    }
+
+    onChange(tiers[index], index);
+  }
+
+  function sample(timestamp) {
+    const gap = lastFrame === null ? null : timestamp - lastFrame;
+    lastFrame = timestamp;
+
+    if (gap === null || gap > limits.maxFrameGapMs) return;
+
+    samples.push(gap);
+    if (samples.length < limits.sampleSize) return;
+
+    // The fastest tenth of the frames tells us the display's refresh rate
+    const sorted = [...samples].sort((a, b) => a - b);
+    refreshMs = Math.min(refreshMs, sorted[Math.floor(sorted.length / 10)]);
+
+    const average = samples.reduce((sum, ms) => sum + ms, 0) / samples.length;
+    const ratio = average / refreshMs;
+    samples = [];
+
+    // One slow patch (garbage collection, a busy main thread) is not enough
+    slowCount = ratio > limits.downgradeRatio ? slowCount + 1 : 0;
+
+    if (timestamp - lastChange < limits.cooldownMs) return;
+
+    if (slowCount >= limits.slowWindows && index < tiers.length - 1) {
+      setTier(index + 1, timestamp);
+    } else if (
+      ratio < limits.upgradeRatio &&
+      index > 0 &&
+      timestamp - lastDowngrade >= limits.upgradeDelayMs
+    ) {
+      setTier(index - 1, timestamp);
+    }
+  }
+
+  return {
+    sample,
+    reset() {
+      lastFrame = null;
+      samples = [];
+      slowCount = 0;
+    },
+    get tier() {
+      return tiers[index];
+    },
+    get index() {
+      return index;
+    },
+  };
+}
+
+/**
+ * SIMPLIFY MATERIALS
+ * ==================
+ *
+ * Swap MeshStandardMaterial for MeshLambertMaterial (same color/map) or
+ * restore the original materials. Originals are kept on node.userData.
+ */
+export function simplifyMaterials(object, enabled) {
+  object.traverse((node) => {
+    if (!node.isMesh) return;
+
+    if (enabled && !node.userData.fullMaterial) {
+      const material = node.material;
+      if (!material.isMeshStandardMaterial) return;
+
+      node.userData.fullMaterial = material;
+      node.material = new THREE.MeshLambertMaterial({
+        color: material.color,
+        map: material.map,
+        emissive: material.emissive,
+        emissiveMap: material.emissiveMap,
+        transparent: material.transparent,
+        opacity: material.opacity,
+      });
+    } else if (!enabled && node.userData.fullMaterial) {
+      node.material.dispose();
+      node.material = node.userData.fullMaterial;
+      delete node.userData.fullMaterial;
+    }
+  });
+}
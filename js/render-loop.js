@@ -0,0 +1,127 @@
+/**
+ * Render Loop - Render on Demand with Suspension
+ * ==============================================
+ *
+ * Instead of calling `renderer.render` on every animation frame forever,
+ * the scene is only redrawn when something visible changed ("dirty").
+ * Anything that moves the model, camera or canvas calls `invalidate()`.
+ *
+ * The loop is fully suspended (no requestAnimationFrame at all) while any
+ * suspension reason is active - e.g. the section is scrolled out of view
+ * or the browser tab is hidden - and resumes with a fresh frame.
+ *
+ * LEARNING OBJECTIVES:
+ * - Save battery by skipping frames nobody would see change
+ * - Use IntersectionObserver and the Page Visibility API
+ */
+
+/**
+ * CREATE RENDER LOOP
+ * ==================
+ *
+ * @param {Function} render - Draws one frame. Receives `{ continued }`:
+ *   true when the loop requested this frame straight after the previous
+ *   one, false for the first frame after an idle or suspended spell (the
+ *   time since the last frame is then not a frame time)
+ *
+ * Returns:
+ * - invalidate(seconds): Request a frame. Pass a duration to keep
+ *   rendering every frame for that long (e.g. while a tween runs).
+ * - suspend(reason) / resume(reason): Stop and restart the loop. The loop
+ *   only runs when no reason is left.
+ * - isSuspended(): Whether any suspension reason is active
+ */
+export function createRenderLoop(render) {
+  let frame = null; // Pending requestAnimationFrame id
+  let dirty = false; // A change happened since the last frame
+  let busyUntil = 0; // Keep rendering until this timestamp (ms)
+  let continued = false; // The pending frame directly follows the last one
+  const suspensions = new Set();
+
+  function schedule() {
+    if (frame === null && suspensions.size === 0) {
+      frame = requestAnimationFrame(tick);
+    }
+  }
+
+  function tick() {
+    frame = null;
+    dirty = false;
+
+    render({ continued });
+
+    // Keep going while a tween is running or something changed mid-render
+    continued = dirty || performance.now() < busyUntil;
+    if (continued) schedule();
+  }
+
+  function invalidate(seconds = 0) {
+    dirty = true;
+    busyUntil = Math.max(busyUntil, performance.now() + seconds * 1000);
+    schedule();
+  }
+
+  function suspend(reason) {
+    suspensions.add(reason);
+
+    if (frame !== null) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+    continued = false;
+  }
+
+  function resume(reason) {
+    suspensions.delete(reason);
+
+    // Draw a fresh frame: state may have changed while we were away
+    if (suspensions.size === 0) invalidate();
+  }
+
+  return {
+    invalidate,
+    suspend,
+    resume,
+    isSuspended: () => suspensions.size > 0,
+  };
+}
+
+// Resume a little before the section scrolls back into view. The renderer
+// pool uses the same margin to decide which views are on screen.
+export const VISIBILITY_MARGIN = "25% 0px";
+
+/**
+ * WATCH VISIBILITY
+ * ================
+ *
+ * Suspend the loop while `element` is out of view or the tab is hidden.
+ * Returns a function that removes both observers.
+ */
+export function watchVisibility(loop, element) {
+  const observer = new IntersectionObserver(
+    ([entry]) => {
+      if (entry.isIntersecting) {
+        loop.resume("offscreen");
+      } else {
+        loop.suspend("offscreen");
+      }
+    },
+    { rootMargin: VISIBILITY_MARGIN }
+  );
+  observer.observe(element);
+
+  const onVisibilityChange = () => {
+    if (document.hidden) {
+      loop.suspend("hidden");
+    } else {
+      loop.resume("hidden");
+    }
+  };
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  onVisibilityChange();
+
+  return () => {
+    observer.disconnect();
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+  };
+}
@@ -0,0 +1,496 @@
+/**
+ * Renderer Pool - One WebGL Context for Every Scene
+ * =================================================
+ *
+ * Browsers only allow a handful of WebGL contexts per page (older mobile
+ * browsers as few as 8) and silently drop the oldest when the limit is hit.
+ * So instead of one WebGLRenderer per scene, every scene gets a "view":
+ * its own canvas in the page plus per-scene renderer settings (size,
+ * pixel ratio, shadows, tone mapping), applied right before each render.
+ *
+ * DIRECT AND COPIED FRAMES
+ * ========================
+ * While only one view is mounted or on screen (the usual single-scene
+ * page), the shared WebGL canvas is laid over that view's canvas and
+ * renders straight to the screen. With several visible views, each frame
+ * is drawn off screen and copied into the view's canvas.
+ *
+ * The shared drawing buffer always has one size, large enough for every
+ * view, and each view renders into its bottom-left corner. Resizing
+ * clears the buffer, so it only happens when a view's size changes, not
+ * when views take turns. The direct view shows just its corner: the WebGL
+ * canvas sits in a frame the size of the view that clips the rest.
+ *
+ * The view's own canvas stays in the layout either way: it receives
+ * pointer input and carries the accessible description.
+ *
+ * SHARED ENVIRONMENTS
+ * ===================
+ * Pre-filtered environment maps (see js/lighting.js) are cached here once
+ * per source, made by one PMREMGenerator, so several scenes with the same
+ * preset share one texture instead of filtering their own.
+ *
+ * CONTEXT LOSS
+ * ============
+ * The browser may take the WebGL context away at any time (mobile Safari
+ * does after backgrounding or under memory pressure). The pool tells every
+ * view through onContextLost / onContextRestored so each scene can show
+ * its poster and rebuild what the GPU forgot.
+ *
+ * LEARNING OBJECTIVES:
+ * - Share one expensive resource between many consumers (reference counting)
+ * - Understand why WebGL context limits matter on content-heavy pages
+ * - Recover from a lost WebGL context without a page reload
+ */
+
+import * as THREE from "three";
+
+import { VISIBILITY_MARGIN } from "./render-loop.js";
+
+let shared = null; // { renderer, frame, environments, users, views, direct, ... }
+
+/**
+ * CREATE RENDERER
+ * ===============
+ * WebGL2 first, then a WebGL1-friendly fallback. Throws when WebGL is
+ * completely unavailable.
+ */
+function createRenderer({ antialias }) {
+  let renderer;
+
+  try {
+    // Try to create WebGL2 renderer first
+    renderer = new THREE.WebGLRenderer({
+      antialias, // Smooth edges (slight performance cost)
+      powerPreference: "high-performance", // Request dedicated GPU if available
+    });
+  } catch (error) {
+    console.warn("WebGL2 not available, falling back to WebGL1:", error);
+
+    // Fallback to WebGL1 with reduced features
+    renderer = new THREE.WebGLRenderer({
+      antialias: false, // Disable antialiasing for better compatibility
+      powerPreference: "default", // Use default power preference
+      alpha: true, // Enable alpha for transparency
+    });
+  }
+
+  // Transparent background allows HTML content to show through
+  renderer.setClearColor(0x000000, 0); // Color: black, Alpha: 0 (transparent)
+
+  /**
+   * SHADOW SYSTEM OPTIMIZATION
+   * ===========================
+   * Shadows add realism but are expensive. We optimize for best performance/quality balance.
+   */
+  renderer.shadowMap.type = THREE.PCFShadowMap; // Less expensive than PCFSoftShadowMap
+  renderer.shadowMap.autoUpdate = false; // Only update when needed (manual control)
+
+  return renderer;
+}
+
+/**
+ * Environment cache: `load(source, filter)` returns the promise for
+ * `source`, calling `filter(pmrem)` only the first time. Failed loads are
+ * forgotten so a later request retries.
+ */
+function createEnvironmentCache(renderer) {
+  let pmrem = null;
+  const requests = new Map(); // source -> Promise<texture>
+
+  return {
+    load(source, filter) {
+      if (requests.has(source)) return requests.get(source);
+
+      pmrem ??= new THREE.PMREMGenerator(renderer);
+      const request = filter(pmrem);
+      request.catch(() => {
+        if (requests.get(source) === request) requests.delete(source);
+      });
+      requests.set(source, request);
+      return request;
+    },
+    clear() {
+      requests.forEach((request) =>
+        request.then(
+          (texture) => texture.dispose(),
+          () => {}
+        )
+      );
+      requests.clear();
+      pmrem?.dispose();
+      pmrem = null;
+    },
+  };
+}
+
+/**
+ * Forward context loss and restoration to every view. WebGLRenderer's own
+ * listeners run first: it calls preventDefault() (which allows the browser
+ * to restore the context) and re-initialises its GL state on restore.
+ * Cached environments only existed on the GPU, so they are dropped before
+ * the views rebuild.
+ */
+function watchContext(renderer, views, environments) {
+  const canvas = renderer.domElement;
+  const onLost = () => views.forEach((view) => view.onContextLost());
+  const onRestored = () => {
+    environments.clear();
+    views.forEach((view) => view.onContextRestored());
+  };
+
+  canvas.addEventListener("webglcontextlost", onLost);
+  canvas.addEventListener("webglcontextrestored", onRestored);
+
+  return () => {
+    canvas.removeEventListener("webglcontextlost", onLost);
+    canvas.removeEventListener("webglcontextrestored", onRestored);
+  };
+}
+
+/**
+ * Track which views are on screen: the one visible view renders directly.
+ * Same margin as the render loop, so a view counts as visible exactly
+ * while its scene keeps rendering.
+ */
+function watchVisibleViews() {
+  return new IntersectionObserver(
+    (entries) => {
+      entries.forEach(({ target, isIntersecting }) => {
+        const view = [...shared.views].find((entry) => entry.canvas === target);
+        if (view) view.visible = isIntersecting;
+      });
+      updateDirectView();
+    },
+    { rootMargin: VISIBILITY_MARGIN }
+  );
+}
+
+/**
+ * The element the direct view shows the WebGL canvas in: the size of the
+ * view, clipping the part of the buffer that belongs to no view
+ */
+function createFrame(renderer) {
+  const frame = document.createElement("div");
+  frame.setAttribute("aria-hidden", "true");
+  frame.append(renderer.domElement);
+
+  gsap.set(frame, {
+    position: "absolute",
+    overflow: "hidden",
+    pointerEvents: "none",
+  });
+  gsap.set(renderer.domElement, { position: "absolute", left: 0, bottom: 0 });
+
+  return frame;
+}
+
+function acquireRenderer(options, view) {
+  if (!shared) {
+    const renderer = createRenderer(options);
+    const views = new Set();
+    const visibility = watchVisibleViews();
+    const environments = createEnvironmentCache(renderer);
+    const stopListening = watchContext(renderer, views, environments);
+
+    shared = {
+      renderer,
+      frame: createFrame(renderer),
+      environments,
+      users: 0,
+      views,
+      direct: null, // The view the WebGL canvas currently renders into
+      stopWatching() {
+        stopListening();
+        visibility.disconnect();
+      },
+      visibility,
+    };
+  }
+
+  shared.users += 1;
+  shared.views.add(view);
+  shared.visibility.observe(view.canvas);
+  updateDirectView();
+  return shared.renderer;
+}
+
+function releaseRenderer(view) {
+  shared.views.delete(view);
+  shared.visibility.unobserve(view.canvas);
+  shared.users -= 1;
+
+  if (shared.users > 0) {
+    updateDirectView();
+    fitBuffer(); // May shrink now
+    return;
+  }
+
+  // Last view gone: give the context back to the browser (our own forced
+  // loss must not reach any view)
+  shared.stopWatching();
+  shared.frame.remove();
+  shared.environments.clear();
+  shared.renderer.dispose();
+  shared.renderer.forceContextLoss();
+  shared = null;
+}
+
+/**
+ * The only mounted view, else the only visible one, renders directly
+ */
+function updateDirectView() {
+  const views = [...shared.views];
+  const visible = views.filter((view) => view.visible);
+  const next =
+    views.length === 1 ? views[0] : visible.length === 1 ? visible[0] : null;
+
+  if (next === shared.direct) return;
+
+  const previous = shared.direct;
+  shared.direct = next;
+  previous?.setDirect(false);
+  next?.setDirect(true);
+
+  // Show the current frames the new way straight away
+  previous?.redraw();
+  next?.redraw();
+}
+
+/**
+ * Size the shared drawing buffer to fit every view. Resizing clears (and
+ * may reallocate) the buffer, so it only happens when the largest view
+ * changes; the direct view then lost its frame and draws it again.
+ */
+function fitBuffer() {
+  const { renderer, direct } = shared;
+  const views = [...shared.views];
+  const width = Math.max(...views.map((view) => view.bufferWidth));
+  const height = Math.max(...views.map((view) => view.bufferHeight));
+
+  const size = renderer.getSize(new THREE.Vector2());
+  if (size.x === width && size.y === height) return;
+
+  renderer.setSize(width, height, false); // Device pixels (pixel ratio 1)
+  direct?.placeCanvas();
+  direct?.redraw();
+}
+
+/**
+ * CREATE RENDER VIEW
+ * ==================
+ *
+ * @param {Object} options
+ * - antialias:           Used when this view creates the shared context
+ * - onContextLost():     The WebGL context is gone; nothing renders
+ * - onContextRestored(): A new context is ready. The renderer has reset
+ *                        its GL state; GPU-only resources (render targets,
+ *                        shadow maps, pre-filtered environments) are blank
+ *
+ * Returns a view with:
+ * - canvas:                  The visible canvas to put in the page
+ * - renderer:                The shared WebGLRenderer
+ * - environments:            The shared environment cache (see above)
+ * - settings:                { shadows, toneMapping, toneMappingExposure }
+ * - setSize(width, height):  CSS size of the canvas
+ * - setPixelRatio(ratio)
+ * - invalidateShadows():     Re-render shadow maps on the next frame
+ * - isContextLost()
+ * - render(scene, camera):   Does nothing while the context is lost
+ * - toDataURL(type):         The latest frame as an image
+ * - dispose()
+ */
+export function createRenderView({
+  antialias = true,
+  onContextLost = () => {},
+  onContextRestored = () => {},
+} = {}) {
+  let contextLost = false;
+  let shadowsNeedUpdate = true;
+  let lastFrame = null; // { scene, camera } of the latest render
+
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d");
+  canvas.style.display = "block"; // Same as a WebGLRenderer canvas
+
+  let width = 1;
+  let height = 1;
+  let pixelRatio = 1;
+
+  // This view's entry in the pool
+  const view = {
+    canvas,
+    visible: false,
+    direct: false,
+    bufferWidth: 1, // Device pixels
+    bufferHeight: 1,
+    onContextLost() {
+      contextLost = true;
+      onContextLost();
+    },
+    onContextRestored() {
+      contextLost = false;
+      shadowsNeedUpdate = true; // The shadow map is blank again
+      onContextRestored();
+    },
+    // Runs while the pool is being set up too, hence shared.renderer
+    setDirect(direct) {
+      view.direct = direct;
+      context.clearRect(0, 0, canvas.width, canvas.height);
+
+      // The new direct view (if any) places it again right after this
+      if (direct) {
+        view.placeCanvas();
+      } else {
+        shared.frame.remove();
+      }
+    },
+    // Show the WebGL canvas over this view's canvas (input and the
+    // accessible description stay with the view's canvas underneath),
+    // with the view's corner of the buffer lined up with the view
+    placeCanvas() {
+      if (!canvas.parentNode) return; // Placed on the first render instead
+
+      const { frame, renderer } = shared;
+      if (frame.previousSibling !== canvas) canvas.after(frame);
+
+      gsap.set(frame, {
+        left: canvas.offsetLeft,
+        top: canvas.offsetTop,
+        width,
+        height,
+      });
+      gsap.set(renderer.domElement, {
+        width: renderer.domElement.width / pixelRatio,
+        height: renderer.domElement.height / pixelRatio,
+      });
+    },
+    redraw() {
+      if (lastFrame) render(lastFrame.scene, lastFrame.camera);
+    },
+  };
+
+  const renderer = acquireRenderer({ antialias }, view);
+
+  // Another scene's context may already be lost when this view is created
+  contextLost = renderer.getContext().isContextLost();
+
+  const settings = {
+    shadows: false,
+    toneMapping: THREE.NoToneMapping, // No tone mapping for web-safe colors
+    toneMappingExposure: 1, // Standard exposure
+  };
+
+  function resizeCanvas() {
+    view.bufferWidth = Math.max(1, Math.floor(width * pixelRatio));
+    view.bufferHeight = Math.max(1, Math.floor(height * pixelRatio));
+
+    canvas.width = view.bufferWidth;
+    canvas.height = view.bufferHeight;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+
+    fitBuffer();
+    if (view.direct) view.placeCanvas();
+  }
+
+  function setSize(nextWidth, nextHeight) {
+    width = nextWidth;
+    height = nextHeight;
+    resizeCanvas();
+  }
+
+  function setPixelRatio(ratio) {
+    pixelRatio = ratio;
+    resizeCanvas();
+  }
+
+  function render(scene, camera) {
+    lastFrame = { scene, camera };
+
+    // Keep the last good frame on the canvas rather than a blank one
+    if (contextLost) return;
+
+    // Placed once; resizeCanvas() moves it along with layout changes
+    if (view.direct && shared.frame.previousSibling !== canvas) {
+      view.placeCanvas();
+    }
+
+    // Draw into the bottom-left corner of the shared buffer (WebGL's
+    // origin), which is all of it for the direct view
+    const { bufferWidth, bufferHeight } = view;
+    renderer.setViewport(0, 0, bufferWidth, bufferHeight);
+
+    renderer.shadowMap.enabled = settings.shadows;
+    renderer.shadowMap.needsUpdate = shadowsNeedUpdate;
+    renderer.toneMapping = settings.toneMapping;
+    renderer.toneMappingExposure = settings.toneMappingExposure;
+    shadowsNeedUpdate = false;
+
+    renderer.render(scene, camera);
+    if (view.direct) return;
+
+    // Copy the frame before another scene reuses the drawing buffer
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    copyFrame(context);
+
+    // This render cleared the buffer the direct view shows, so put its
+    // frame back. Views only render while visible, so this is rare: an
+    // explicit render (e.g. seek()) of a view that is off screen.
+    shared.direct?.redraw();
+  }
+
+  // This view's corner of the shared buffer, drawn at 0,0 of `target`
+  function copyFrame(target) {
+    const source = renderer.domElement;
+    const { bufferWidth, bufferHeight } = view;
+    target.drawImage(
+      source,
+      0,
+      source.height - bufferHeight,
+      bufferWidth,
+      bufferHeight,
+      0,
+      0,
+      bufferWidth,
+      bufferHeight
+    );
+  }
+
+  // The direct view's frame without the rest of the shared buffer
+  function directFrameToDataURL(type) {
+    const frame = document.createElement("canvas");
+    frame.width = view.bufferWidth;
+    frame.height = view.bufferHeight;
+    copyFrame(frame.getContext("2d"));
+    return frame.toDataURL(type);
+  }
+
+  let disposed = false;
+
+  return {
+    canvas,
+    renderer,
+    environments: shared.environments,
+    settings,
+    setSize,
+    setPixelRatio,
+    invalidateShadows() {
+      shadowsNeedUpdate = true;
+    },
+    isContextLost: () => contextLost,
+    render,
+    // The latest frame as a data URL (call right after render(): the
+    // WebGL canvas doesn't keep its frame once it has been displayed)
+    toDataURL: (type) =>
+      view.direct ? directFrameToDataURL(type) : canvas.toDataURL(type),
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+
+      lastFrame = null; // Nothing to redraw when the pool rearranges
+      canvas.remove();
+      releaseRenderer(view);
+    },
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Scene Config - Per-Section Configuration
+ * ========================================
+ *
+ * Every scene section can carry its own model, model configuration and
+ * choreography timing, so one page can show several product lines:
+ *
+ *   <section class="product-overview"
+ *            data-can-scene
+ *            data-model="assets/models/futuristic-drinking-can.glb"
+ *            data-scale-factor="3.5"
+ *            data-horizontal-offset="-0.4"
+ *            data-vertical-offset="0"
+ *            data-lighting="sunset"
+ *            data-label-image="assets/labels/limited-edition.png"
+ *            data-analytics="datalayer"
+ *            data-snap-to-chapters>
+ *     <script type="application/json" data-can-scene-config>
+ *       {
+ *         "modelConfig": { "rotation": 15 },
+ *         "phases": { "model-rotation": { "range": [0.2, 0.9] } }
+ *       }
+ *     </script>
+ *     ...
+ *
+ * Data attributes win over the JSON block, and options passed to
+ * createCanScene win over both.
+ *
+ * CMS-DRIVEN CONTENT
+ * ==================
+ * On a Webflow CMS template, bind the section's attributes (data-model,
+ * data-brand-*, see js/brand.js) to collection fields, and put the
+ * product's features in a (hidden) nested collection list whose items
+ * carry the tooltip data:
+ *
+ *   <div data-tooltip-item
+ *        data-title="Multi-Vector"
+ *        data-description="Supports nervous system realignment..."
+ *        data-badge="2.0"
+ *        data-show-from="0.45" data-show-to="0.85"></div>
+ *
+ * The same list can be a "tooltips" array in the JSON block (an Embed can
+ * bind CMS fields too). Either way the tooltip markup is rendered from it
+ * (see renderTooltips in js/tooltips.js).
+ *
+ * LEARNING OBJECTIVES:
+ * - Combine configuration from several sources with a clear priority
+ * - Keep markup-driven settings readable for Webflow editors
+ */
+
+const CONFIG_BLOCK = 'script[type="application/json"][data-can-scene-config]';
+const TOOLTIP_ITEMS = "[data-tooltip-item]";
+
+// Tooltip item attributes (read as text unless numeric)
+const TOOLTIP_ITEM_TEXT = [
+  "title",
+  "description",
+  "badge",
+  "icon",
+  "align",
+  "anchor",
+  "hotspot",
+  "hotspotNode",
+  "hotspotNormal",
+];
+const TOOLTIP_ITEM_NUMBERS = ["showFrom", "showTo", "stagger"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * MERGE CONFIG
+ * ============
+ *
+ * Deep-merge plain objects. Arrays and other values replace the base value;
+ * undefined values are skipped so missing attributes keep the defaults.
+ */
+export function mergeConfig(base = {}, overrides = {}) {
+  const result = { ...base };
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value === undefined) return;
+
+    result[key] = isPlainObject(value)
+      ? mergeConfig(isPlainObject(base[key]) ? base[key] : {}, value)
+      : value;
+  });
+
+  return result;
+}
+
+/**
+ * Parse a numeric data attribute (undefined when missing or invalid)
+ */
+function readNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Parse a boolean data attribute: present means true unless it is "false"
+ */
+function readBoolean(value) {
+  return value === undefined ? undefined : value !== "false";
+}
+
+/**
+ * Tooltip data from CMS collection items (undefined when there are none)
+ */
+function readTooltipItems(root) {
+  const items = [...root.querySelectorAll(TOOLTIP_ITEMS)];
+  if (items.length === 0) return undefined;
+
+  return items.map(({ dataset }) => {
+    const item = {};
+    TOOLTIP_ITEM_TEXT.forEach((key) => {
+      if (dataset[key]) item[key] = dataset[key];
+    });
+    TOOLTIP_ITEM_NUMBERS.forEach((key) => {
+      item[key] = readNumber(dataset[key]);
+    });
+    return item;
+  });
+}
+
+/**
+ * READ SCENE CONFIG
+ * =================
+ *
+ * Returns { modelSrc, modelConfig, phases, qualityThresholds, lighting,
+ * label, analytics, snapToChapters, tooltips, brand } for a scene
+ * section - only the keys that were actually configured.
+ */
+export function readSceneConfig(root) {
+  let config = {};
+
+  const block = root.querySelector(CONFIG_BLOCK);
+  if (block) {
+    try {
+      config = JSON.parse(block.textContent);
+    } catch (error) {
+      console.warn("Ignoring invalid scene config JSON:", error);
+    }
+  }
+
+  const { dataset } = root;
+
+  return mergeConfig(config, {
+    modelSrc: dataset.model,
+    lighting: dataset.lighting,
+    label: dataset.labelImage,
+    analytics: dataset.analytics,
+    snapToChapters: readBoolean(dataset.snapToChapters),
+    tooltips: readTooltipItems(root),
+    brand: {
+      background: dataset.brandBackground,
+      mask: dataset.brandMask,
+      accent: dataset.brandAccent,
+      tooltip: dataset.brandTooltip,
+      divider: dataset.brandDivider,
+    },
+    modelConfig: {
+      scaleFactor: readNumber(dataset.scaleFactor),
+      position: {
+        horizontalOffset: readNumber(dataset.horizontalOffset),
+        verticalOffset: readNumber(dataset.verticalOffset),
+      },
+    },
+  });
+}
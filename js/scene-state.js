@@ -0,0 +1,125 @@
+/**
+ * Scene State - Pure Progress -> State Computation
+ * ================================================
+ *
+ * Everything the scene shows at a given moment follows from three inputs:
+ * the scroll progress, the viewport and the configuration. This module
+ * turns those inputs into plain data - phase values for the DOM, the
+ * model's framing, its entrance position and rotation - without touching
+ * the DOM, Three.js objects or timers. scene.js only *applies* the result,
+ * so the scroll path, the resize path and seek() can never disagree.
+ *
+ * No globals either: GSAP's easing and interpolation are passed in (see
+ * TWEEN HELPERS in js/choreography.js), so the module runs in Node and is
+ * covered by tests/scene-state.test.js (`npm test`).
+ *
+ * LEARNING OBJECTIVES:
+ * - Separate computing state (pure, easy to test) from applying it
+ * - See how one function can serve scrolling, resizing and seeking
+ */
+
+import { evaluatePhases } from "./choreography.js";
+import { resolveBreakpoint } from "./breakpoints.js";
+
+// The model enters from this many model heights below its final position
+export const ENTRANCE_DEPTH = 1.5;
+
+/**
+ * MODEL BREAKPOINT
+ * ================
+ * The breakpoint result for a viewport (see js/breakpoints.js), using the
+ * top-level modelConfig values as the base framing.
+ */
+export function resolveModelBreakpoint(viewport, modelConfig) {
+  return resolveBreakpoint(viewport, modelConfig.breakpoints, {
+    cameraDistance: modelConfig.cameraDistance,
+    rotation: modelConfig.rotation,
+    horizontalOffset: modelConfig.position.horizontalOffset,
+    verticalOffset: modelConfig.position.verticalOffset,
+  });
+}
+
+/**
+ * COMPUTE FRAMING
+ * ===============
+ *
+ * Where the model sits once it has entered, its tilt and the camera
+ * distance, for a viewport.
+ *
+ * @param {Object} viewport - { width, height } in CSS pixels
+ * @param {Object} modelConfig - See MODEL CONFIGURATION in scene.js
+ * @param {Object} model - { size, center } of the scaled model at the
+ *   origin ({ x, y, z } each)
+ *
+ * Returns { position: { x, y, z }, rotationZ (radians), cameraZ }.
+ */
+export function computeFraming(viewport, modelConfig, { size, center }) {
+  // Interpolated between the breakpoints around this viewport
+  const { cameraDistance, rotation, horizontalOffset, verticalOffset } =
+    resolveModelBreakpoint(viewport, modelConfig).values;
+
+  const position = {
+    // Centred on the model, then offset to make room for text (phones use
+    // horizontalOffset 0, so the can sits in the middle)
+    x: -center.x - size.x * horizontalOffset,
+    y: -center.y + size.y * verticalOffset, // Configurable vertical offset
+    z: -center.z, // Center on Z-axis
+  };
+
+  return {
+    position,
+    rotationZ: (rotation * Math.PI) / 180, // Degrees in config
+    cameraZ: Math.max(size.x, size.y, size.z) * cameraDistance, // Relative to the largest dimension
+  };
+}
+
+/**
+ * Model Y position for an entrance value (0 = below, 1 = in place)
+ */
+export function getEntranceY(framing, size, entrance) {
+  return framing.position.y - (1 - entrance) * size.y * ENTRANCE_DEPTH;
+}
+
+/**
+ * COMPUTE SCENE STATE
+ * ===================
+ *
+ * @param {number} progress - Pinned scroll progress (0-1)
+ * @param {Object} viewport - { width, height } in CSS pixels
+ * @param {Object} config
+ * - phases:      Choreography phases for the viewport's breakpoint (see
+ *                resolveModelBreakpoint and js/choreography.js)
+ * - modelConfig: See MODEL CONFIGURATION in scene.js
+ * - model:       { size, center } of the active model, or null while
+ *                nothing is loaded
+ * - helpers:     { parseEase, interpolate } - defaults to the page's GSAP
+ *
+ * Returns:
+ * - progress
+ * - framing:  computeFraming() result (null without a model)
+ * - phases:   [{ phase, values }] for every phase that owns a value. The
+ *             "model" target's values are resolved to { positionY,
+ *             rotationY } so the runtime only has to assign them.
+ */
+export function computeSceneState(progress, viewport, config) {
+  const { phases, modelConfig, model, helpers } = config;
+  const framing = model ? computeFraming(viewport, modelConfig, model) : null;
+
+  const entries = evaluatePhases(phases, progress, helpers)
+    .map(({ phase, values }) => {
+      if (phase.target !== "model") return { phase, values };
+      if (!framing) return null; // Nothing to move yet
+
+      const { entrance, rotationY } = values;
+      const resolved = {};
+      if (entrance !== undefined) {
+        resolved.positionY = getEntranceY(framing, model.size, entrance);
+      }
+      if (rotationY !== undefined) resolved.rotationY = rotationY;
+
+      return { phase, values: resolved };
+    })
+    .filter(Boolean);
+
+  return { progress, framing, phases: entries };
+}
@@ -8,6 +8,11 @@
  * 3. Lenis for smooth scrolling
  * 4. ScrollTrigger for scroll-based animations
  *
+ * Everything is mounted by `createCanScene(root, options)`, which returns an
+ * instance with destroy(), pause(), resume() and refresh(). The page mounts
+ * one scene per section automatically (see AUTO-INITIALIZATION below), each
+ * with its own model, camera and timing, drawn by one shared renderer.
+ *
  * LEARNING OBJECTIVES:
  * - Understand 3D scene setup and optimization
  * - Learn scroll-triggered animations
@@ -17,14 +22,147 @@
 
 // Import required libraries for 3D rendering and animation
 import * as THREE from "three";
-import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
-import Lenis from "lenis";
+import {
+  createChoreography,
+  getPoseIndex,
+  mergePhases,
+  reducedMotionPoses,
+  scenePhases,
+} from "./choreography.js";
+import { mergeConfig, readSceneConfig } from "./scene-config.js";
+import {
+  getLenis,
+  lockScroll,
+  requestSmoothScroll,
+  setSnapPoints,
+} from "./smooth-scroll.js";
+import { createRenderView } from "./renderer-pool.js";
+import { createNavTheme } from "./nav-theme.js";
+import { createDragRotate, createInspectMode } from "./interaction.js";
+import { createLighting } from "./lighting.js";
+import { applyLabelTexture, loadLabelTexture } from "./label.js";
+import { createDebugHud, isDebugEnabled } from "./debug-hud.js";
+import { createEventBus } from "./events.js";
+import { getChapterIndex, resolveChapters, sceneChapters } from "./chapters.js";
+import {
+  SCROLL_DEPTH_MILESTONES,
+  resolveAnalyticsAdapter,
+  setAnalyticsAdapter,
+} from "./analytics.js";
+import {
+  computeFraming,
+  computeSceneState,
+  getEntranceY,
+  resolveModelBreakpoint,
+} from "./scene-state.js";
+import { createTooltip, discoverTooltips, renderTooltips } from "./tooltips.js";
+import { applyBrand } from "./brand.js";
+import { createHotspotTracker } from "./hotspots.js";
+import { createModelLibrary, fadeModel } from "./models.js";
+import { createModelStatus } from "./model-status.js";
+import { createRenderLoop, watchVisibility } from "./render-loop.js";
+import { createQualityGovernor, simplifyMaterials } from "./quality.js";
+import { createMotionPreference } from "./motion.js";
+import {
+  bindStepKeys,
+  buildStorySteps,
+  getStepIndex,
+  setupCanvasAccessibility,
+} from "./accessibility.js";
+
+// Sections that get a scene of their own
+const SCENE_ROOTS = "[data-can-scene], .product-overview";
+
+// Scroll distance of the pinned sequence, in viewport heights
+const PIN_LENGTH = 4;
 
 /**
- * Wait for DOM to be fully loaded before initializing the scene
- * This ensures all HTML elements are available for manipulation
+ * CREATE CAN SCENE
+ * ================
+ *
+ * Mount the whole experience on a pinned section and return an instance:
+ * - destroy():          Remove triggers and listeners, restore the
+ *                       DOM and release the WebGL context
+ * - pause() / resume(): Stop rendering and scroll updates / catch up again
+ * - refresh():          Re-measure after layout changes (page transitions)
+ * - switchModel(src):   Crossfade to another GLB (see MODEL SWITCHER)
+ * - setLabel(source):   Replace the label artwork (see LABEL ARTWORK)
+ * - seek(progress):     Jump to the exact state at a progress (see SEEK)
+ * - snapshot(progress): seek() and return the canvas as a PNG data URL
+ *                       (null while there is no model or WebGL context)
+ * - on(type, handler):  Listen to scene events (see js/events.js); returns
+ *                       a function that removes the listener
+ * - ready:              Promise that resolves once the first model is shown
+ *
+ * Every element the scene animates is looked up inside `root`, so any
+ * number of scenes can live on one page.
+ *
+ * @param {HTMLElement} root - The pinned section (e.g. .product-overview)
+ * @param {Object} options - Merged over the section's own configuration
+ *   (data attributes / JSON block, see js/scene-config.js)
+ * - modelSrc:          GLB loaded first (defaults to assets/models/can.glb)
+ * - modelConfig:       Overrides for MODEL CONFIGURATION
+ * - phases:            Choreography overrides keyed by phase id
+ * - qualityThresholds: Overrides for QUALITY_THRESHOLDS in js/quality.js
+ * - lighting:          Preset name or { preset, ...overrides } (js/lighting.js)
+ * - label:             Initial label artwork (image URL or text layout)
+ * - analytics:         Adapter object or "console" / "datalayer" / "none"
+ *                      (js/analytics.js)
+ * - tooltips:          Tooltip data to render instead of the authored
+ *                      markup (renderTooltips in js/tooltips.js)
+ * - brand:             Section colours (js/brand.js)
+ * - chapters:          Named stops in the story (sceneChapters in
+ *                      js/chapters.js), used for keys and URL hashes
+ * - snapToChapters:    Let smooth scrolling settle on nearby chapters
  */
-document.addEventListener("DOMContentLoaded", () => {
+export function createCanScene(root, options = {}) {
+  const config = mergeConfig(readSceneConfig(root), options);
+  const basePhases = mergePhases(scenePhases, config.phases);
+  let phases = basePhases; // Plus the active breakpoint's overrides
+
+  // Selector scoped to this scene's section
+  const q = gsap.utils.selector(root);
+
+  /**
+   * LIFECYCLE BOOKKEEPING
+   * =====================
+   *
+   * Everything the scene adds to the page registers a cleanup here, so
+   * destroy() can undo it in reverse order. Page-transition libraries can
+   * then mount and unmount the scene repeatedly without leaks.
+   */
+  const cleanups = [];
+  let destroyed = false;
+  let paused = false;
+
+  function onDestroy(cleanup) {
+    cleanups.push(cleanup);
+  }
+
+  // addEventListener that is removed again on destroy()
+  function listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    onDestroy(() => target.removeEventListener(type, handler));
+  }
+
+  // ScrollTrigger.create that is killed again on destroy()
+  function createTrigger(vars) {
+    const trigger = ScrollTrigger.create(vars);
+    onDestroy(() => trigger.kill());
+    return trigger;
+  }
+
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+
+    cleanups.reverse().forEach((cleanup) => cleanup());
+    cleanups.length = 0;
+
+    // Removing the pin changes the page height for every other trigger
+    ScrollTrigger.refresh();
+  }
+
   /**
    * STEP 1: ANIMATION SYSTEM SETUP
    * ==============================
@@ -40,18 +178,22 @@ document.addEventListener("DOMContentLoaded", () => {
    * ===============================
    *
    * Lenis provides smooth, momentum-based scrolling that feels natural
-   * and integrates perfectly with GSAP's ScrollTrigger system
+   * and integrates perfectly with GSAP's ScrollTrigger system.
+   *
+   * In reduced-motion mode (see js/motion.js) we use native scrolling instead.
+   * The Lenis instance is shared by every scene (see js/smooth-scroll.js).
    */
-  const lenis = new Lenis();
+  const motion = createMotionPreference();
+  const scrollOwner = Symbol("canScene"); // This scene's smooth-scroll request
 
-  // Sync Lenis scroll with ScrollTrigger for accurate trigger points
-  lenis.on("scroll", ScrollTrigger.update);
-
-  // Connect Lenis to GSAP's ticker for optimal performance
-  // The ticker runs at 60fps and ensures smooth animation updates
-  gsap.ticker.add((time) => lenis.raf(time * 1000));
+  requestSmoothScroll(scrollOwner, !motion.reduced);
   gsap.ticker.lagSmoothing(0); // Disable lag smoothing for consistent performance
 
+  onDestroy(() => {
+    requestSmoothScroll(scrollOwner, false);
+    motion.destroy();
+  });
+
   /**
    * STEP 3: TEXT ANIMATION PREPARATION
    * ==================================
@@ -61,75 +203,60 @@ document.addEventListener("DOMContentLoaded", () => {
    */
 
   // Split the main header into individual characters for staggered animation
-  const headerSplit = new SplitText(".header-1 h3", {
+  const headerSplit = new SplitText(root.querySelector(".header-1 h3"), {
     type: "chars",
     charsClass: "char", // CSS class applied to each character wrapper
   });
 
-  // Function to properly split tooltip text after layout is ready
-  function initializeTooltipText() {
-    // Force layout calculation by accessing offsetHeight
-    document.querySelectorAll(".tooltip").forEach((tooltip) => {
-      tooltip.offsetHeight; // Force reflow
-    });
-
-    // Split tooltip titles into lines for smooth line-by-line animation
-    const titleSplits = new SplitText(".tooltip .title", {
-      type: "lines",
-      linesClass: "line", // CSS class applied to each line wrapper
-    });
-
-    // Split tooltip descriptions into lines with proper width calculation
-    const descriptionSplits = new SplitText(".tooltip .description p", {
-      type: "lines",
-      linesClass: "line",
-    });
-
-    return { titleSplits, descriptionSplits };
-  }
+  onDestroy(() => headerSplit.revert());
 
-  // Initialize text splitting after a brief delay to ensure layout is ready
-  let titleSplits, descriptionSplits;
+  /**
+   * PRODUCT CONTENT
+   * ===============
+   *
+   * Tooltip copy and brand colours can come from data (JSON block or CMS
+   * attributes, see js/scene-config.js), so one script serves every
+   * product page. Both are undone on destroy().
+   */
+  onDestroy(renderTooltips(root, config.tooltips));
+  onDestroy(applyBrand(root, config.brand));
 
-  function setupTooltipText() {
-    const splits = initializeTooltipText();
-    titleSplits = splits.titleSplits;
-    descriptionSplits = splits.descriptionSplits;
+  /**
+   * TOOLTIP SETUP
+   * =============
+   *
+   * Every `.tooltip` is discovered from the DOM (see js/tooltips.js) and gets
+   * its own SplitText/DrawSVG timeline, configured via data attributes.
+   */
+  let tooltips = [];
+  let storySteps = []; // Headers and tooltips announced to screen readers
 
-    // Wrap each line in a span for smooth reveal animations
-    [...titleSplits.lines, ...descriptionSplits.lines].forEach(
-      (line) => (line.innerHTML = `<span>${line.innerHTML}</span>`)
+  function setupTooltips() {
+    // The active breakpoint can move or retime tooltips (by DOM order)
+    tooltips = discoverTooltips(root).map(({ element, config }, index) =>
+      createTooltip(element, { ...config, ...breakpoint.tooltips[index] })
     );
 
-    // Create timelines after text elements exist
-    createTooltipTimelines();
-
-    // Create tooltip ScrollTriggers after timelines are ready
-    setTimeout(createTooltipScrollTriggers, 50);
+    // Story steps start when the circular mask reveal begins
+    storySteps = buildStorySteps(root, tooltips, {
+      revealAt: phases.find(({ id }) => id === "circular-mask-reveal").range[0],
+    });
   }
 
-  setTimeout(setupTooltipText, 100); // Small delay to ensure layout is complete
-
-  // Re-split text on window resize to maintain proper line breaks
-  let resizeTimeout;
-  window.addEventListener("resize", () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      // Revert any existing splits first
-      if (titleSplits) titleSplits.revert();
-      if (descriptionSplits) descriptionSplits.revert();
-
-      // Clear existing timelines and ScrollTriggers
-      tooltipTimelines.forEach((timeline) => timeline.kill());
-      tooltipTimelines = [];
+  // Revert existing splits and timelines
+  function teardownTooltips() {
+    tooltips.forEach((tooltip) => tooltip.revert());
+    tooltips = [];
+  }
 
-      tooltipScrollTriggers.forEach((trigger) => trigger.kill());
-      tooltipScrollTriggers = [];
+  // Re-split text for the current layout to maintain proper line breaks
+  // (see REFRESH ORCHESTRATOR for when this runs)
+  function rebuildTooltips() {
+    teardownTooltips();
+    setupTooltips();
+  }
 
-      // Re-initialize with new layout
-      setupTooltipText();
-    }, 250); // Debounce resize events
-  });
+  onDestroy(teardownTooltips);
 
   /**
    * ANIMATION-READY HTML STRUCTURE CREATION
@@ -144,166 +271,6 @@ document.addEventListener("DOMContentLoaded", () => {
     (char) => (char.innerHTML = `<span>${char.innerHTML}</span>`)
   );
 
-  // Note: Tooltip line wrapping is handled in the setTimeout above after layout is ready
-
-  /**
-   * TOOLTIP ANIMATION CONFIGURATION
-   * ===============================
-   *
-   * Define tooltip elements to animate. Tooltips now appear at 80%-99% scroll progress
-   * using dedicated ScrollTrigger instances instead of progress-based animation.
-   */
-  const tooltipSelectors = [
-    {
-      elements: [
-        ".tooltip:nth-child(2) .divider",
-        ".tooltip:nth-child(2) .icon",
-        ".tooltip:nth-child(2) .title .line > span",
-        ".tooltip:nth-child(2) .description .line > span",
-      ],
-    },
-    {
-      elements: [
-        ".tooltip:nth-child(3) .divider",
-        ".tooltip:nth-child(3) .icon",
-        ".tooltip:nth-child(3) .title .line > span",
-        ".tooltip:nth-child(3) .description .line > span",
-      ],
-    },
-  ];
-
-  /**
-   * TOOLTIP TIMELINE CREATION
-   * =========================
-   *
-   * Timelines will be created after text splitting is complete
-   */
-  let tooltipTimelines = [];
-  let tooltipScrollTriggers = []; // Track tooltip ScrollTrigger instances
-
-  function createTooltipTimelines() {
-    tooltipTimelines = tooltipSelectors.map(({ elements }) => {
-      const timeline = gsap.timeline({ paused: true });
-
-      // Separate elements by type for different animations
-      const dividerElements = document.querySelectorAll(".divider path");
-      const iconElements = elements.filter((el) => el.includes(".icon"));
-      const textElements = elements.filter(
-        (el) => !el.includes(".icon") && !el.includes(".divider")
-      );
-
-      // Set initial states
-      gsap.set(dividerElements, { drawSVG: "0%" }); // Dividers start with 0 width
-      gsap.set(textElements, { y: "125%" }); // Text elements start below viewport
-      gsap.set(iconElements, { y: -40, opacity: 0 }); // Icons start above with 0 opacity
-
-      // Create coordinated animation sequence
-      timeline
-        .to(
-          dividerElements,
-          {
-            drawSVG: "100%",
-            duration: 1.5,
-            ease: "power3.out",
-          },
-          0
-        ) // Dividers animate first
-        .to(
-          iconElements,
-          {
-            y: 0,
-            opacity: 1,
-            duration: 0.6,
-            ease: "power3.out",
-          },
-          0.2
-        ) // Icons follow shortly after
-        .to(
-          textElements,
-          {
-            y: "0%",
-            duration: 0.4,
-            ease: "power3.out",
-            stagger: {
-              amount: 0.3,
-              from: "start",
-            },
-          },
-          0.8
-        ); // Text follows icons
-
-      return timeline;
-    });
-  }
-
-  /**
-   * LOGO COLOR ANIMATION SYSTEM
-   * ===========================
-   *
-   * Simple GSAP timeline approach for logo color changes based on sections
-   */
-
-  // Set initial logo color (black for hero section)
-  gsap.set(".logo", { color: "#000000" });
-  gsap.set(".nav-menu_btn", { color: "#000000" });
-
-  // Hero section: Black logo
-  ScrollTrigger.create({
-    trigger: ".section.intro",
-    start: "top bottom",
-    end: "bottom top",
-    //markers: true,
-    onEnter: () => {
-      gsap.to(".logo", { color: "#000000", duration: 0.3 });
-      gsap.to(".nav-menu_btn", { color: "#000000", duration: 0.3 });
-    },
-    onEnterBack: () => {
-      gsap.to(".logo", { color: "#000000", duration: 0.3 });
-      gsap.to(".nav-menu_btn", { color: "#000000", duration: 0.3 });
-    },
-  });
-
-  // Pinned section: White logo at start, transitions to black with mask
-  ScrollTrigger.create({
-    trigger: ".product-overview",
-    //markers: true,
-    start: "top top",
-    end: `+=${window.innerHeight * 5}`,
-    onEnter: () => {
-      gsap.to(".logo", { color: "#ffffff", duration: 0.3 });
-      gsap.to(".nav-menu_btn", { color: "#ffffff", duration: 0.3 });
-    },
-    onUpdate: ({ progress }) => {
-      // Transition from white to black during mask reveal (20% - 28% to match circular mask)
-      if (progress >= 0.2 && progress <= 0.28) {
-        const transitionProgress = (progress - 0.2) / 0.01; // 0 to 1 over the 8% range (20% to 28%)
-        const colorValue = Math.round(255 * (1 - transitionProgress)); // 255 (white) to 0 (black)
-        gsap.to(".logo", {
-          color: `rgb(${colorValue}, ${colorValue}, ${colorValue})`,
-          duration: 0.1,
-        });
-        gsap.to(".nav-menu_btn", {
-          color: `rgb(${colorValue}, ${colorValue}, ${colorValue})`,
-          duration: 0.1,
-        });
-      } else if (progress > 0.28) {
-        gsap.to(".logo", { color: "#000000", duration: 0.1 });
-        gsap.to(".nav-menu_btn", { color: "#000000", duration: 0.1 });
-      } else {
-        gsap.to(".logo", { color: "#ffffff", duration: 0.1 });
-        gsap.to(".nav-menu_btn", { color: "#ffffff", duration: 0.1 });
-      }
-    },
-    onLeave: () => {
-      gsap.to(".logo", { color: "#fff", duration: 0.3 });
-      gsap.to(".nav-menu_btn", { color: "#fff", duration: 0.3 });
-    },
-    onLeaveBack: () => {
-      gsap.to(".logo", { color: "#000000", duration: 0.3 });
-      gsap.to(".nav-menu_btn", { color: "#000000", duration: 0.3 });
-    },
-  });
-
   /**
    * HEADER ANIMATION TRIGGER
    * ========================
@@ -312,59 +279,87 @@ document.addEventListener("DOMContentLoaded", () => {
    * This creates a smooth typewriter-like effect as the user scrolls.
    */
 
+  // Everything the scene styles inline; restored to the Webflow styles on destroy
+  const domPhases = () =>
+    phases.filter(({ target }) => !["model", "lighting"].includes(target));
+
+  const styledElements = [
+    ...q(".pinned-fixed-text"),
+    ...domPhases().flatMap(({ target }) => q(target)),
+  ];
+
+  // Only the properties the scene sets are cleared, so inline styles from
+  // Webflow or the page itself survive destroy()
+  onDestroy(() => {
+    gsap.killTweensOf(styledElements);
+    gsap.set(q(".pinned-fixed-text"), { clearProps: "opacity,y,zIndex" });
+    domPhases().forEach(({ target, from, to }) => {
+      const properties = Object.keys({ ...from, ...to });
+      gsap.set(q(target), { clearProps: properties.join(",") });
+    });
+  });
+
   // Set initial states for various elements
-  gsap.set(".model-container", {
+  gsap.set(q(".model-container"), {
     scale: 0.8,
   });
 
   // Set header-2 to be invisible initially (opacity animated in at 45% progress)
-  gsap.set(".header-2", {
+  gsap.set(q(".header-2"), {
     opacity: 0,
   });
 
-  // Set initial tooltip positioning
-  gsap.set(".tooltip:nth-child(2)", {
-    position: "absolute",
-    bottom: "2rem",
-    left: "4rem",
-  });
-
-  gsap.set(".tooltip:nth-child(3)", {
-    position: "absolute",
-    top: "2rem",
-    right: "6rem",
-  });
-
   // Set initial state for pinned fixed text - hidden initially
-  gsap.set(".pinned-fixed-text", {
+  gsap.set(q(".pinned-fixed-text"), {
     opacity: 0,
-    y: 30, // Start slightly below
+    y: motion.reduced ? 0 : 30, // Start slightly below
     zIndex: 100, // Ensure it's above other elements
   });
 
-  ScrollTrigger.create({
-    trigger: ".product-overview",
+  // Typewriter reveal of the header characters (instant with reduced motion)
+  function revealHeaderChars(visible, immediate = false) {
+    const chars = q(".header-1 h3 .char > span");
+    const y = visible ? "0%" : "100%"; // Normal position / below visible area
+
+    if (motion.reduced || immediate) {
+      gsap.killTweensOf(chars);
+      gsap.set(chars, { y });
+      return;
+    }
+
+    gsap.to(chars, {
+      y,
+      duration: visible ? 1 : 1.5,
+      ease: "power3.inOut",
+      stagger: 0.025, // Stagger creates typewriter effect
+    });
+  }
+
+  createTrigger({
+    id: "header-reveal",
+    trigger: root,
     start: "75% bottom", // Start when section is 75% visible from bottom
-    onEnter: () => {
-      // Animate header characters
-      gsap.to(".header-1 h3 .char > span", {
-        y: "0%", // Move to normal position
-        duration: 1,
-        ease: "power3.inOut",
-        stagger: 0.025, // Stagger creates typewriter effect
-      });
-    },
-    onLeaveBack: () => {
-      // Reverse header animation when scrolling back up
-      gsap.to(".header-1 h3 .char > span", {
-        y: "100%", // Move below visible area
-        duration: 1.5,
-        ease: "power3.inOut",
-        stagger: 0.025,
-      });
-    },
+    onEnter: () => revealHeaderChars(true),
+    // Reverse header animation when scrolling back up
+    onLeaveBack: () => revealHeaderChars(false),
   });
 
+  /**
+   * PIN GEOMETRY
+   * ============
+   *
+   * Every scroll-linked trigger of the pinned sequence spans the same
+   * distance, so "progress" means the same thing everywhere. The end is a
+   * function: ScrollTrigger calls it again on every refresh, so a resize
+   * or a mobile URL-bar change never leaves a stale length behind.
+   */
+  const pinGeometry = {
+    trigger: root,
+    start: "top top",
+    end: () => `+=${window.innerHeight * PIN_LENGTH}`,
+    invalidateOnRefresh: true, // Attached animations re-record their values
+  };
+
   /**
    * PINNED FIXED TEXT ANIMATION
    * ===========================
@@ -372,78 +367,56 @@ document.addEventListener("DOMContentLoaded", () => {
    * Shows the fixed text element just before the circular mask animation
    * and properly reverses when scrolling back up past the mask animation
    */
-  ScrollTrigger.create({
-    trigger: ".product-overview",
-    start: "top top",
-    end: `+=${window.innerHeight * 1.8}`, // Match main scroll animation timeline
+  createTrigger({
+    id: "pinned-text",
+    ...pinGeometry,
     scrub: false, // No scrubbing for discrete show/hide behavior
 
     onUpdate: ({ progress }) => {
-      // Show text at 40% progress (7% before circular mask at 47%)
-      // Hide text at 65% progress (5% after circular mask completes at 60%)
-      const shouldShowText = progress >= 0.4 && progress <= 0.65;
-
-      if (shouldShowText) {
-        // Animate text in
-        gsap.to(".pinned-fixed-text", {
-          opacity: 1,
-          y: 0,
-          duration: 0.6,
-          ease: "power3.out",
-        });
-      } else {
-        // Animate text out
-        gsap.to(".pinned-fixed-text", {
-          opacity: 0,
-          y: 30,
-          duration: 0.4,
-          ease: "power3.in",
-        });
-      }
-    },
-
-    // Handle initial state on page load/refresh
-    onRefresh: ({ progress }) => {
-      const shouldShowText = progress >= 0.4 && progress <= 0.65;
-
-      if (shouldShowText) {
-        gsap.set(".pinned-fixed-text", { opacity: 1, y: 0 });
-      } else {
-        gsap.set(".pinned-fixed-text", { opacity: 0, y: 30 });
-      }
+      if (!paused) showPinnedText(progress);
     },
   });
 
-  /**
-   * INITIAL HERO SECTION ANIMATIONS
-   * ===============================
-   *
-   * These animations trigger on page load or when scrolling into view
-   * for elements that are visible in the initial viewport
-   */
+  // Visible from just before the circular mask reveal until just after it,
+  // so retiming the mask (config or breakpoint) carries the text along
+  function getPinnedTextRange() {
+    const [start, end] = phases.find(
+      ({ id }) => id === "circular-mask-reveal"
+    ).range;
+    return [start - 0.02, end + 0.01];
+  }
 
-  ScrollTrigger.create({
-    trigger: ".product-overview",
-    start: "75% bottom", // Start when section is 75% visible from bottom
-    onEnter: () => {
-      // Animate header characters
-      gsap.to(".header-1 h3 .char > span", {
-        y: "0%", // Move to normal position
-        duration: 1,
-        ease: "power3.inOut",
-        stagger: 0.025, // Stagger creates typewriter effect
+  function showPinnedText(progress, immediate = false) {
+    const [showAt, hideAt] = getPinnedTextRange();
+    const shouldShowText = progress >= showAt && progress <= hideAt;
+    const text = q(".pinned-fixed-text");
+
+    if (immediate) {
+      gsap.killTweensOf(text);
+      gsap.set(
+        text,
+        shouldShowText
+          ? { opacity: 1, y: 0 }
+          : { opacity: 0, y: motion.reduced ? 0 : 30 }
+      );
+    } else if (shouldShowText) {
+      // Animate text in
+      gsap.to(text, {
+        opacity: 1,
+        y: 0,
+        duration: 0.6,
+        ease: "power3.out",
       });
-    },
-    onLeaveBack: () => {
-      // Reverse header animation when scrolling back up
-      gsap.to(".header-1 h3 .char > span", {
-        y: "100%", // Move below visible area
-        duration: 1.5,
-        ease: "power3.inOut",
-        stagger: 0.025,
+    } else {
+      // Animate text out (fade only with reduced motion)
+      gsap.to(text, {
+        opacity: 0,
+        y: motion.reduced ? 0 : 30,
+        duration: 0.4,
+        ease: "power3.in",
       });
-    },
-  });
+    }
+  }
 
   /**
    * STEP 4: THREE.JS 3D SCENE SETUP
@@ -460,39 +433,95 @@ document.addEventListener("DOMContentLoaded", () => {
    * ===================
    * Easy-to-adjust parameters for can size and positioning
    */
-  const modelConfig = {
-    // Scale settings
-    scaleFactor: 4, // Overall size multiplier (higher = bigger can)
-
-    // Camera distance settings (affects apparent size)
-    cameraDistance: {
-      mobile: 4, // Distance on mobile (higher = smaller appearance)
-      desktop: 3, // Distance on desktop (higher = smaller appearance)
-    },
-
-    // Position settings
-    position: {
-      // Horizontal offset on desktop (higher = more left offset)
-      horizontalOffset: 0.4, // 0.4 = 40% of model width offset
-
-      // Vertical offset (higher = more upward)
-      verticalOffset: -0.05, // 0.085 = 8.5% of model height above center
-    },
-
-    // Rotation settings (in degrees)
-    rotation: {
-      mobile: 0, // Rotation on mobile
-      desktop: -15, // Rotation on desktop (negative = counter-clockwise)
+  const modelConfig = mergeConfig(
+    {
+      // Scale settings
+      scaleFactor: 4, // Overall size multiplier (higher = bigger can)
+
+      // Camera distance, relative to model size (higher = smaller appearance)
+      cameraDistance: 3,
+
+      // Position settings
+      position: {
+        // Horizontal offset (higher = more left offset, 0 = centered)
+        horizontalOffset: 0.4, // 0.4 = 40% of model width offset
+
+        // Vertical offset (higher = more upward)
+        verticalOffset: -0.05, // 0.085 = 8.5% of model height above center
+      },
+
+      // Rotation in degrees (negative = counter-clockwise)
+      rotation: -15,
+
+      // Responsive overrides, interpolated by viewport width. Breakpoints
+      // can also change phase timings and tooltips (see js/breakpoints.js)
+      breakpoints: {
+        mobile: {
+          width: 767, // Phones: centered, further away, upright
+          cameraDistance: 4,
+          rotation: 0,
+          horizontalOffset: 0,
+        },
+        desktop: { width: 1024 }, // The base values above
+      },
+
+      // Material overrides for the can (null keeps the GLB's own values)
+      material: {
+        roughness: 0.3, // 0 = mirror-like, 1 = completely rough
+        metalness: 0.8, // 0 = non-metallic, 1 = fully metallic
+      },
+
+      // Material that carries the label artwork (see js/label.js)
+      label: {
+        material: "lambert5", // Material name in the GLB
+      },
     },
-  };
+    config.modelConfig // Per-scene overrides
+  );
 
   // Global variables for 3D scene management
   let model, // The loaded 3D model
     currentRotation = 0, // Track model rotation for smooth animation
     modelSize = 0, // Model dimensions for positioning calculations
-    finalModelPosition = { x: 0, y: 0, z: 0 }, // Store the final position for entrance animation
     currentScrollProgress = 0; // Track current scroll progress for resize handling
 
+  /**
+   * CONTAINER SIZE
+   * ==============
+   * The canvas fills `.model-container`, whatever size the layout gives it
+   * (the full viewport here, but also a card, column or modal). Layout size
+   * ignores CSS transforms, so the container's scale-in animation doesn't
+   * reallocate the canvas; hotspots project onto the transformed rect.
+   */
+  const container = root.querySelector(".model-container");
+  let containerSize = {
+    width: container.clientWidth || window.innerWidth,
+    height: container.clientHeight || window.innerHeight,
+  };
+
+  /**
+   * SCENE EVENTS & ANALYTICS
+   * ========================
+   * Listeners attach with on() or as `canscene:*` DOM events on the
+   * container (see js/events.js). Every event is also forwarded to the
+   * analytics adapter (see js/analytics.js), tagged with the scene.
+   */
+  const sceneName = root.id || root.classList[0];
+  const events = createEventBus(container, {
+    forward: (type, detail) =>
+      resolveAnalyticsAdapter(config.analytics)?.track(type, {
+        scene: sceneName,
+        ...detail,
+      }),
+  });
+
+  onDestroy(() => events.clear());
+
+  // Errors are reported with where they happened
+  function reportError(source, error) {
+    events.emit("error", { source, message: String(error?.message ?? error) });
+  }
+
   /**
    * SCENE CREATION
    * ==============
@@ -508,152 +537,342 @@ document.addEventListener("DOMContentLoaded", () => {
    */
   const camera = new THREE.PerspectiveCamera(
     35, // Field of view (60° is natural looking)
-    window.innerWidth / window.innerHeight, // Aspect ratio matches screen
+    containerSize.width / containerSize.height, // Aspect ratio matches the container
     0.1, // Near clipping plane (objects closer are invisible)
     1000 // Far clipping plane (objects farther are invisible)
   );
 
+  /**
+   * LOADING / FALLBACK OVERLAY
+   * ==========================
+   * Poster image, byte-progress loader and error state inside the container
+   * (configured with data-poster / data-poster-alt on .model-container)
+   */
+  const modelStatus = createModelStatus(container);
+
+  onDestroy(() => modelStatus.destroy());
+
+  /**
+   * ADAPTIVE QUALITY
+   * ================
+   * Frame times are sampled during the pinned sequence and quality steps
+   * through the tiers in js/quality.js. The chosen tier is reported on the
+   * container as `data-quality-tier` and a `canscene:quality` event.
+   */
+  const qualityConfig = {
+    thresholds: { ...config.qualityThresholds }, // e.g. { downgradeRatio: 1.5 } - see QUALITY_THRESHOLDS
+  };
+
+  const qualityGovernor = createQualityGovernor({
+    thresholds: qualityConfig.thresholds,
+    onChange: (tier) => applyQualityTier(tier),
+  });
+
   /**
    * RENDERER CONFIGURATION
    * ======================
    * The renderer converts the 3D scene into pixels on the screen.
-   * Optimization is crucial for smooth performance.
+   * All scenes share one WebGLRenderer (see js/renderer-pool.js); this
+   * scene gets a "view" - its own canvas plus per-scene renderer settings.
    */
-  let renderer;
+  let view;
 
   try {
-    // Try to create WebGL2 renderer first
-    renderer = new THREE.WebGLRenderer({
-      antialias: true, // Smooth edges (slight performance cost)
-      powerPreference: "high-performance", // Request dedicated GPU if available
+    view = createRenderView({
+      antialias: qualityGovernor.tier.antialias,
+      onContextLost: handleContextLost, // See WEBGL CONTEXT LOSS
+      onContextRestored: handleContextRestored,
     });
   } catch (error) {
-    console.warn("WebGL2 not available, falling back to WebGL1:", error);
-
-    try {
-      // Fallback to WebGL1 with reduced features
-      renderer = new THREE.WebGLRenderer({
-        antialias: false, // Disable antialiasing for better compatibility
-        powerPreference: "default", // Use default power preference
-        alpha: true, // Enable alpha for transparency
-      });
-    } catch (fallbackError) {
-      console.error("WebGL not supported on this device:", fallbackError);
-
-      // Show fallback message and hide 3D container
-      const modelContainer = document.querySelector(".model-container");
-      if (modelContainer) {
-        modelContainer.innerHTML = `
-          <div style="
-            display: flex; 
-            align-items: center; 
-            justify-content: center; 
-            height: 100%; 
-            color: #666; 
-            font-family: Arial, sans-serif;
-            text-align: center;
-            padding: 20px;
-          ">
-            <div>
-              <p>3D visualization not supported on this device.</p>
-              <p style="font-size: 0.9em; margin-top: 10px;">Please use a modern browser with WebGL support.</p>
-            </div>
-          </div>
-        `;
-      }
-      return; // Exit early if WebGL is completely unavailable
-    }
+    console.error("WebGL not supported on this device:", error);
+
+    // Show the poster with a fallback message instead of the 3D scene
+    modelStatus.unsupported();
+    events.emit("webgl-fallback", { reason: "unsupported" });
+
+    // Exit early if WebGL is completely unavailable (nothing to pause)
+    return {
+      destroy,
+      pause() {},
+      resume() {},
+      refresh: () => ScrollTrigger.refresh(),
+      switchModel() {},
+      setLabel: () => Promise.resolve(),
+      seek() {},
+      snapshot: () => null,
+      on: events.on,
+      ready: Promise.resolve(),
+    };
   }
 
-  // Only proceed if renderer was successfully created
-  if (!renderer) return;
+  // Match canvas size to its container
+  view.setSize(containerSize.width, containerSize.height);
+
+  // Attach this scene's canvas to the HTML container
+  container.appendChild(view.canvas);
+
+  // Release the shared renderer once the last scene is gone
+  onDestroy(() => view.dispose());
+
+  // Describe the canvas, announce story steps and allow keyboard stepping
+  const accessibility = setupCanvasAccessibility(container, view.canvas);
 
-  // Transparent background allows HTML content to show through
-  renderer.setClearColor(0x000000, 0); // Color: black, Alpha: 0 (transparent)
+  onDestroy(() => accessibility.destroy());
 
-  // Match renderer size to window
-  renderer.setSize(window.innerWidth, window.innerHeight);
+  // Projects tooltip hotspots (data-hotspot / data-hotspot-node) onto the canvas
+  const hotspotTracker = createHotspotTracker({
+    camera,
+    canvas: view.canvas,
+  });
+
+  /**
+   * STEP 5: LIGHTING SETUP
+   * ======================
+   * Good lighting is crucial for realistic 3D rendering. A three-point light
+   * setup plus an environment map for reflections, with tone mapping and
+   * exposure - all chosen through a preset (see js/lighting.js).
+   */
+  const lighting = createLighting({
+    scene,
+    environments: view.environments, // Shared by every scene on the page
+    settings: view.settings, // Tone mapping is applied per view
+    onChange: () => renderLoop.invalidate(),
+    onError: (error) => reportError("environment", error),
+  });
+  const { mainLight } = lighting;
 
-  // Limit pixel ratio for performance (prevents super-high DPI from slowing down)
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  onDestroy(() => lighting.dispose());
 
   /**
-   * SHADOW SYSTEM OPTIMIZATION
-   * ===========================
-   * Shadows add realism but are expensive. We optimize for best performance/quality balance.
+   * APPLY QUALITY TIER
+   * ==================
+   *
+   * Pixel ratio, shadows and material simplification can change live.
+   * Antialiasing is fixed per WebGL context, so a new antialias setting
+   * takes effect on the next page load (the tier is kept for the session).
    */
-  renderer.shadowMap.enabled = true;
-  renderer.shadowMap.type = THREE.PCFShadowMap; // Less expensive than PCFSoftShadowMap
-  renderer.shadowMap.autoUpdate = false; // Only update when needed (manual control)
+  function applyQualityTier(tier) {
+    // Limit pixel ratio for performance (prevents super-high DPI from slowing down)
+    view.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
+
+    // Shadow map on/off and resolution (512 is the best-quality balance)
+    view.settings.shadows = tier.shadows;
+    view.invalidateShadows();
+    mainLight.castShadow = tier.shadows;
+    if (mainLight.shadow.mapSize.x !== tier.shadowMapSize) {
+      mainLight.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+      mainLight.shadow.map?.dispose(); // Recreated at the new size
+      mainLight.shadow.map = null;
+    }
+
+    // Toggling shadows changes shader programs, so materials must recompile
+    scene.traverse((node) => {
+      if (!node.isMesh) return;
+      [].concat(node.material).forEach((m) => (m.needsUpdate = true));
+    });
+
+    if (model) simplifyMaterials(model, tier.simplifyMaterials);
+
+    // Report the chosen tier
+    container.dataset.qualityTier = tier.name;
+    events.emit("quality", { tier });
+
+    renderLoop.invalidate();
+  }
+
+  onDestroy(() => delete container.dataset.qualityTier);
 
   /**
-   * COLOR SPACE CONFIGURATION
+   * SCROLL CHOREOGRAPHY ENGINE
    * ==========================
-   * Control how colors are displayed for consistent appearance across devices
+   *
+   * The phase schema in js/choreography.js drives every scroll animation.
+   * DOM selectors are tweened directly; the "model" target is handled here
+   * because its values depend on the loaded model's size and position.
+   * Use applySceneState() rather than calling the engine directly.
    */
-  renderer.toneMapping = THREE.NoToneMapping; // No tone mapping for web-safe colors
-  renderer.toneMappingExposure = 1; // Standard exposure
+  const choreography = createChoreography(
+    phases,
+    {
+      // Values come resolved from computeSceneState (js/scene-state.js)
+      model: ({ positionY, rotationY }, tween) => {
+        if (!model) return;
+
+        if (positionY !== undefined) {
+          if (tween) {
+            gsap.to(model.position, { y: positionY, ...tween });
+          } else {
+            model.position.y = positionY;
+          }
+
+          // Keep drawing frames while the follow-tween moves the model
+          renderLoop.invalidate(tween ? tween.duration : 0);
+        }
+
+        if (rotationY !== undefined) {
+          scrollRotation = rotationY;
+          applyModelRotation();
+        }
+      },
+
+      // Blend between two lighting presets: phase.presets = [from, to]
+      lighting: ({ blend }, tween, phase) => {
+        const [from, to = from] = phase.presets ?? [];
+        lightingBlend.from = from ?? config.lighting;
+        lightingBlend.to = to ?? config.lighting;
+
+        if (tween) {
+          gsap.to(lightingBlend, {
+            t: blend,
+            ...tween,
+            onUpdate: applyLightingBlend,
+          });
+        } else {
+          gsap.killTweensOf(lightingBlend);
+          lightingBlend.t = blend;
+          applyLightingBlend();
+        }
+      },
+    },
+    { scope: root } // DOM phases only touch this scene's elements
+  );
+
+  // Current lighting mix, tweened like any other follow value
+  const lightingBlend = { from: config.lighting, to: config.lighting, t: 0 };
+
+  function applyLightingBlend() {
+    lighting.blend(lightingBlend.from, lightingBlend.to, lightingBlend.t);
+  }
 
-  // Attach the renderer's canvas to the HTML container
-  document.querySelector(".model-container").appendChild(renderer.domElement);
+  onDestroy(() => gsap.killTweensOf(lightingBlend));
 
   /**
-   * STEP 5: LIGHTING SETUP
-   * ======================
-   * Good lighting is crucial for realistic 3D rendering.
-   * We use a three-point lighting setup for professional results.
+   * MODEL ROTATION
+   * ==============
+   *
+   * The can's Y rotation is the choreographed scroll rotation plus the
+   * user's drag offset (see js/interaction.js).
    */
+  let scrollRotation = 0;
+
+  function applyModelRotation() {
+    if (!model) return;
+
+    // Calculate rotation difference for smooth animation
+    const rotationDiff = scrollRotation + dragRotate.offset - currentRotation;
+
+    // Only rotate if there's a significant change (prevents jitter)
+    if (Math.abs(rotationDiff) > 0.001) {
+      model.rotateOnAxis(new THREE.Vector3(0, 1, 0), rotationDiff); // Rotate on Y-axis
+      currentRotation += rotationDiff; // Update current rotation tracker
+      renderLoop.invalidate();
+    }
+  }
+
+  // Drag (or swipe sideways) to spin the can on top of the scroll rotation
+  const dragRotate = createDragRotate(container, {
+    onChange: applyModelRotation,
+    onDragStart: () => events.emit("drag-start"),
+    onDragEnd: () => events.emit("drag-end"),
+    isReduced: () => motion.reduced,
+  });
+
+  onDestroy(() => dragRotate.destroy());
 
   /**
-   * AMBIENT LIGHT - Overall scene illumination
-   * Provides base lighting so no part of the model is completely black
+   * INSPECT MODE
+   * ============
+   *
+   * Once the container is full-screen, an Inspect button hands the camera
+   * to OrbitControls. The page is frozen until the user closes it again.
    */
-  scene.add(new THREE.AmbientLight(0xffffff, 0.9)); // White light, 70% intensity
+  const getFullscreenAt = () =>
+    phases.find(({ id }) => id === "model-container-fullscreen").range[0];
+  let unlockScroll = null;
+
+  const inspectMode = createInspectMode({
+    container,
+    canvas: view.canvas,
+    camera,
+    onChange: () => renderLoop.invalidate(),
+    onToggle: (open) => {
+      dragRotate.setEnabled(!open);
+
+      if (open) {
+        unlockScroll = lockScroll();
+      } else {
+        unlockScroll?.();
+        unlockScroll = null;
+      }
+
+      events.emit(open ? "inspect-open" : "inspect-close");
+    },
+    isReduced: () => motion.reduced,
+  });
+
+  onDestroy(() => inspectMode.destroy());
 
   /**
-   * MAIN LIGHT - Primary directional light with shadows
-   * This is like the sun - provides main illumination and creates shadows
+   * SCENE STATE
+   * ===========
+   *
+   * computeSceneState (js/scene-state.js) works out everything the scene
+   * should show at a progress value; this only applies it. Scrolling,
+   * resizing, reduced-motion poses and seek() all go through here.
    */
-  const mainLight = new THREE.DirectionalLight(0xffffff, 1); // White light, full intensity
-  mainLight.position.set(1, 1, 3); // Position above and to the side
-  mainLight.castShadow = true; // Enable shadow casting
-  mainLight.shadow.bias = -0.001; // Prevent shadow acne (visual artifacts)
+  // The scene's viewport is its container (breakpoints use its size too)
+  function getViewport() {
+    return containerSize;
+  }
+
+  function applySceneState(progress, options) {
+    const state = computeSceneState(progress, getViewport(), {
+      phases,
+      modelConfig,
+      model: model ? model.userData : null, // { size, center }
+    });
 
-  // Optimize shadow quality vs performance
-  mainLight.shadow.mapSize.set(512, 512); // Shadow map resolution (512 is good balance)
-  mainLight.shadow.camera.near = 0.1; // Shadow camera near plane
-  mainLight.shadow.camera.far = 10; // Shadow camera far plane
-  scene.add(mainLight);
+    choreography.apply(state.phases, options);
+  }
 
   /**
-   * FILL LIGHT - Secondary light to soften harsh shadows
-   * This fills in the dark areas created by the main light
+   * ACTIVE BREAKPOINT
+   * =================
+   * Phase timings and tooltip overrides for the viewport (framing values
+   * are interpolated in js/scene-state.js). Returns true when it changed.
    */
-  const fillLight = new THREE.DirectionalLight(0xffffff, 0.8); // Softer intensity
-  fillLight.position.set(-2, 0, -2); // Opposite side from main light
-  scene.add(fillLight);
+  let breakpoint = null;
+
+  function updateBreakpoint() {
+    const next = resolveModelBreakpoint(getViewport(), modelConfig);
+    if (breakpoint && next.name === breakpoint.name) return false;
+
+    breakpoint = next;
+    phases = mergePhases(basePhases, breakpoint.phases);
+    return true;
+  }
+
+  updateBreakpoint();
 
   /**
    * APPLY ENTRANCE ANIMATION STATE
    * ==============================
    *
-   * Apply the current entrance animation position based on scroll progress
+   * Apply the current model phases instantly based on scroll progress.
+   * Uses the same phase ranges as the scroll path so the two never drift.
    */
   function applyEntranceAnimationState() {
-    if (
-      model &&
-      finalModelPosition &&
-      modelSize &&
-      currentScrollProgress !== undefined
-    ) {
-      const entranceProgress = Math.max(
-        0,
-        Math.min(1, currentScrollProgress / 0.12)
-      ); // 0-12% of scroll
-      const currentY =
-        finalModelPosition.y - (1 - entranceProgress) * modelSize.y * 1.5;
-      model.position.y = currentY; // Set directly without animation during resize
-    }
+    // Reduced-motion mode holds the model in its current static pose
+    const progress = motion.reduced
+      ? reducedMotionPoses[
+          getPoseIndex(reducedMotionPoses, currentScrollProgress)
+        ].progress
+      : currentScrollProgress;
+
+    applySceneState(progress, {
+      immediate: true,
+      target: "model",
+    });
   }
 
   /**
@@ -667,185 +886,542 @@ document.addEventListener("DOMContentLoaded", () => {
     // Exit early if model isn't loaded yet
     if (!model || !modelSize) return;
 
-    // Responsive design: different layouts for mobile vs desktop
-    const isMobile = window.innerWidth < 768;
+    // Position, tilt and camera distance for this viewport
+    const { position, rotationZ, cameraZ } = computeFraming(
+      getViewport(),
+      modelConfig,
+      model.userData
+    );
 
-    // Calculate model's bounding box and center point
-    const box = new THREE.Box3().setFromObject(model);
-    const center = box.getCenter(new THREE.Vector3());
+    // Start below the final position; the entrance phase moves it up
+    model.position.set(
+      position.x,
+      getEntranceY({ position }, modelSize, 0),
+      position.z
+    );
 
-    /**
-     * MODEL POSITIONING LOGIC
-     * =======================
-     *
-     * Mobile: Center the model horizontally
-     * Desktop: Offset model to the left to make room for text
-     */
-    const newPositionX = isMobile
-      ? center.x * 1 // Center horizontally
-      : -center.x - modelSize.x * modelConfig.position.horizontalOffset; // Configurable offset
+    // Configurable rotation for both mobile and desktop
+    model.rotation.z = rotationZ;
 
-    const newPositionY =
-      -center.y + modelSize.y * modelConfig.position.verticalOffset; // Configurable vertical offset
-    const newPositionZ = -center.z; // Center on Z-axis
+    camera.position.set(0, 0, cameraZ); // Position camera on Z-axis
+    camera.lookAt(0, 0, 0); // Point camera at scene center
+  }
 
-    // Store the final position for entrance animation
-    finalModelPosition = { x: newPositionX, y: newPositionY, z: newPositionZ };
+  /**
+   * STEP 7: 3D MODEL LOADING
+   * =========================
+   *
+   * Load the GLTF model asynchronously and configure it for optimal performance
+   */
 
-    // Set initial position below viewport for entrance animation
-    // Calculate how far below to start (1.5x model height below final position)
-    const startPositionY = newPositionY - modelSize.y * 1.5;
-
-    model.position.set(newPositionX, startPositionY, newPositionZ);
+  /**
+   * MODEL PREPARATION
+   * =================
+   * Applied once to every GLB variant before it is cached
+   */
+  function prepareModel(loadedModel) {
+    /**
+     * MODEL SCALING
+     * =============
+     * Scale the model to appropriate size for the scene
+     */
+    loadedModel.scale.setScalar(modelConfig.scaleFactor);
 
     /**
-     * MODEL ROTATION
-     * ==============
-     * Configurable rotation for both mobile and desktop
+     * MATERIAL OPTIMIZATION AND STYLING
+     * ==================================
+     * Traverse through all mesh objects and optimize their materials
      */
-    const rotationDegrees = isMobile
-      ? modelConfig.rotation.mobile
-      : modelConfig.rotation.desktop;
-    model.rotation.z = THREE.MathUtils.degToRad(rotationDegrees);
+    loadedModel.traverse((node) => {
+      if (node.isMesh) {
+        // Enable frustum culling for better performance
+        // (Objects outside camera view won't be rendered)
+        node.frustumCulled = true;
+
+        // Configure material properties for realistic metallic appearance
+        if (node.material.isMeshStandardMaterial && modelConfig.material) {
+          Object.assign(node.material, modelConfig.material);
+
+          // Force material update for changes to take effect
+          node.material.needsUpdate = true;
+        }
+      }
+    });
 
     /**
-     * CAMERA POSITIONING
-     * ==================
-     * Position camera based on model size and device type
+     * MODEL SIZE CALCULATION
+     * ======================
+     * Calculate model dimensions after scaling for positioning calculations
      */
-    const cameraDistance = isMobile
-      ? modelConfig.cameraDistance.mobile
-      : modelConfig.cameraDistance.desktop;
+    const box = new THREE.Box3().setFromObject(loadedModel);
+    loadedModel.userData.size = box.getSize(new THREE.Vector3());
+    loadedModel.userData.center = box.getCenter(new THREE.Vector3());
 
-    // Calculate camera distance based on largest model dimension
-    const maxDimension = Math.max(modelSize.x, modelSize.y, modelSize.z);
-    const cameraZ = maxDimension * cameraDistance;
+    return loadedModel;
+  }
 
-    camera.position.set(0, 0, cameraZ); // Position camera on Z-axis
-    camera.lookAt(0, 0, 0); // Point camera at scene center
+  // Loaded variants are cached per URL, so switching back is instant
+  const modelLibrary = createModelLibrary(prepareModel);
+
+  // Frees geometries, materials and textures of every loaded variant
+  onDestroy(() => modelLibrary.dispose());
+
+  // Construct absolute path to model file
+  const modelPath =
+    config.modelSrc ??
+    new URL("../assets/models/can.glb", import.meta.url).href;
+
+  /**
+   * APPLY MODEL CONFIG
+   * ==================
+   * Bring a prepared model in line with modelConfig after it was edited
+   * live (see the debug HUD). The cached size and centre scale with it.
+   */
+  function applyModelConfig(target) {
+    const ratio = modelConfig.scaleFactor / target.scale.x;
+    if (ratio !== 1) {
+      target.scale.setScalar(modelConfig.scaleFactor);
+      target.userData.size.multiplyScalar(ratio);
+      target.userData.center.multiplyScalar(ratio);
+    }
+
+    if (!modelConfig.material) return;
+    target.traverse((node) => {
+      const material = node.userData.fullMaterial ?? node.material;
+      if (node.isMesh && material.isMeshStandardMaterial) {
+        Object.assign(material, modelConfig.material);
+      }
+    });
   }
 
+  // Resolves once the first model is in the scene
+  let markReady;
+  const ready = new Promise((resolve) => (markReady = resolve));
+
   /**
-   * STEP 7: 3D MODEL LOADING
-   * =========================
+   * SHOW MODEL
+   * ==========
    *
-   * Load the GLTF model asynchronously and configure it for optimal performance
+   * Make a prepared model the active one. The new model takes over the
+   * current scroll progress and rotation, so switching never jumps.
    */
+  function showModel(nextModel) {
+    nextModel.position.set(0, 0, 0);
+    nextModel.rotation.set(0, 0, 0);
+
+    model = nextModel;
+    modelSize = nextModel.userData.size;
+
+    // Match the current modelConfig and quality tier (cached models may
+    // be out of date)
+    applyModelConfig(model);
+    simplifyMaterials(model, qualityGovernor.tier.simplifyMaterials);
+
+    // Show the current label artwork (cached models may have an older one)
+    showLabel(model);
 
-  // Only load model if WebGL is available
-  if (!renderer) {
-    console.log("Skipping 3D model loading - WebGL not available");
-    return;
+    // Add model to scene and position it
+    scene.add(model);
+    setupModel();
+
+    // Catch up with the rotation the previous model already had
+    model.rotateOnAxis(new THREE.Vector3(0, 1, 0), currentRotation);
+    applyEntranceAnimationState();
+    renderLoop.invalidate();
+    markReady();
   }
 
-  // Construct absolute path to model file
-  const modelPath = new URL("../assets/models/can.glb", import.meta.url).href;
-
-  // Load the 3D model using GLTFLoader
-  new GLTFLoader().load(
-    modelPath,
-    (gltf) => {
-      /**
-       * SUCCESS CALLBACK - Model loaded successfully
-       * ============================================
-       */
-      model = gltf.scene; // Extract the 3D scene from GLTF data
-
-      /**
-       * MODEL SCALING
-       * =============
-       * Scale the model to appropriate size for the scene
-       */
-      model.scale.setScalar(modelConfig.scaleFactor);
-
-      /**
-       * MATERIAL OPTIMIZATION AND STYLING
-       * ==================================
-       * Traverse through all mesh objects and optimize their materials
-       */
-      model.traverse((node) => {
-        if (node.isMesh) {
-          // Enable frustum culling for better performance
-          // (Objects outside camera view won't be rendered)
-          node.frustumCulled = true;
-
-          // Configure material properties for realistic metallic appearance
-          if (node.material.isMeshStandardMaterial) {
-            Object.assign(node.material, {
-              roughness: 0.3, // 0 = mirror-like, 1 = completely rough
-              metalness: 0.8, // 0 = non-metallic, 1 = fully metallic
-            });
-
-            // Force material update for changes to take effect
-            node.material.needsUpdate = true;
-          }
-        }
-      });
+  /**
+   * MODEL SWITCHER
+   * ==============
+   *
+   * Load (or reuse) another GLB and crossfade to it. Rapid clicks are safe:
+   * only the most recent request wins.
+   */
+  let switchRequest = 0;
+  const retiredModels = new Set(); // Models fading out after a switch
+
+  async function switchModel(src) {
+    const request = ++switchRequest;
+    const loadStart = performance.now();
+    const nextModel = await modelLibrary.load(src);
+    events.emit("model-loaded", {
+      src,
+      loadTime: Math.round(performance.now() - loadStart),
+    });
 
-      /**
-       * MODEL SIZE CALCULATION
-       * ======================
-       * Calculate model dimensions after scaling for positioning calculations
-       */
-      const box = new THREE.Box3().setFromObject(model);
-      const size = box.getSize(new THREE.Vector3());
-      modelSize = size;
-
-      // Add model to scene and position it
-      scene.add(model);
-      setupModel();
-    },
-    undefined, // Progress callback (not used)
-    (error) => {
-      /**
-       * ERROR CALLBACK - Model failed to load
-       * ====================================
-       */
-      console.error("Failed to load 3D model:", error);
+    // A newer switch started while this one was loading
+    if (destroyed || request !== switchRequest || nextModel === model) return;
+
+    const previousModel = model;
+    const wasFadingOut = retiredModels.delete(nextModel);
+    showModel(nextModel);
+
+    if (!previousModel) return;
+
+    retiredModels.add(previousModel);
+    const onUpdate = () => renderLoop.invalidate();
+    await Promise.all([
+      fadeModel(previousModel, 0, { onUpdate }),
+      // A model still fading out fades back in from where it is
+      fadeModel(
+        nextModel,
+        1,
+        wasFadingOut ? { onUpdate } : { from: 0, onUpdate }
+      ),
+    ]);
+
+    // Remove the old model unless it became active again in the meantime
+    if (previousModel !== model && retiredModels.delete(previousModel)) {
+      scene.remove(previousModel);
+      renderLoop.invalidate();
     }
-  );
+  }
+
+  /**
+   * LABEL ARTWORK
+   * =============
+   *
+   * Replace the label with an image URL, a <canvas>/<img> or a text layout
+   * (see js/label.js); null restores the label from the GLB. The artwork
+   * stays on the can across model switches. Only the most recent request
+   * wins, and the replaced texture is disposed.
+   */
+  let labelTexture = null;
+  let labelRequest = 0;
+
+  function showLabel(target) {
+    if (modelConfig.label) {
+      applyLabelTexture(target, labelTexture, modelConfig.label.material);
+    }
+  }
+
+  async function setLabel(source) {
+    const request = ++labelRequest;
+    const texture = source ? await loadLabelTexture(source) : null;
+
+    // Destroyed or superseded while loading
+    if (destroyed || request !== labelRequest) {
+      texture?.dispose();
+      return;
+    }
+
+    const previousTexture = labelTexture;
+    labelTexture = texture;
+
+    // The active model and any model still fading out
+    [model, ...retiredModels].filter(Boolean).forEach(showLabel);
+    previousTexture?.dispose();
+    renderLoop.invalidate();
+  }
+
+  onDestroy(() => labelTexture?.dispose());
+
+  if (config.label) {
+    setLabel(config.label).catch((error) => {
+      console.error("Failed to load label artwork:", error);
+      reportError("label", error);
+    });
+  }
+
+  /**
+   * FLAVOUR SELECTOR HOOK
+   * =====================
+   *
+   * Any element with `data-model-src` switches the model when clicked,
+   * and a <select> switches when the chosen <option> has `data-model-src`.
+   * The active trigger gets an `is-active` class.
+   *
+   * Triggers inside a scene section control that scene; triggers elsewhere
+   * control every scene unless `data-scene-target` selects the section(s).
+   */
+  function controlsThisScene(trigger) {
+    const { sceneTarget } = trigger.dataset;
+    if (sceneTarget) return root.matches(sceneTarget);
+
+    const owner = trigger.closest(SCENE_ROOTS);
+    return !owner || owner === root;
+  }
+
+  function setActiveModelTrigger(src) {
+    document.querySelectorAll("[data-model-src]").forEach((element) => {
+      if (!controlsThisScene(element)) return;
+
+      element.classList.toggle(
+        "is-active",
+        new URL(element.dataset.modelSrc, document.baseURI).href ===
+          new URL(src, document.baseURI).href
+      );
+    });
+  }
+
+  function selectModel(src) {
+    setActiveModelTrigger(src);
+    events.emit("model-select", { src });
+    switchModel(src).catch((error) => {
+      console.error("Failed to switch 3D model:", error);
+      reportError("model", error);
+    });
+  }
+
+  listen(document, "click", (event) => {
+    const trigger = event.target.closest("[data-model-src]");
+    if (!trigger || trigger.tagName === "OPTION") return;
+    if (!controlsThisScene(trigger)) return;
+
+    event.preventDefault();
+    selectModel(trigger.dataset.modelSrc);
+  });
+
+  listen(document, "change", (event) => {
+    const option = event.target.selectedOptions?.[0];
+    if (option?.dataset.modelSrc && controlsThisScene(option)) {
+      selectModel(option.dataset.modelSrc);
+    }
+  });
+
+  /**
+   * INITIAL MODEL LOAD
+   * ==================
+   * Progress drives the loading bar; failures show the poster and a retry
+   */
+  function loadInitialModel() {
+    modelStatus.loading();
+    const loadStart = performance.now();
+
+    modelLibrary.load(modelPath, modelStatus.progress).then(
+      (loadedModel) => {
+        events.emit("model-loaded", {
+          src: modelPath,
+          loadTime: Math.round(performance.now() - loadStart),
+        });
+
+        // A flavour may already have been picked while this was loading
+        if (!model && !destroyed) showModel(loadedModel);
+      },
+      (error) => {
+        /**
+         * ERROR CALLBACK - Model failed to load
+         * ====================================
+         */
+        console.error("Failed to load 3D model:", error);
+        reportError("model", error);
+        modelStatus.error(loadInitialModel);
+      }
+    );
+  }
+
+  loadInitialModel();
 
   /**
    * STEP 8: RENDER LOOP
    * ===================
    *
-   * The animation loop that continuously renders the 3D scene.
-   * This runs at 60fps for smooth animation.
+   * Render on demand: a frame is only drawn after something called
+   * renderLoop.invalidate() (scroll, rotation, resize, tweens, crossfades).
+   * The loop fully suspends while the section is out of view or the tab
+   * is hidden, which saves a lot of battery on a long marketing page.
    */
-  function animate() {
-    // Schedule next frame
-    requestAnimationFrame(animate);
+  let hasRenderedFirstFrame = false;
+
+  // Draw the current state (seek() also calls this outside the loop)
+  function drawFrame() {
+    // Let OrbitControls damping settle while inspecting
+    inspectMode.update();
+
+    view.render(scene, camera);
+    debugHud?.frame(view.renderer);
+
+    // Keep 3D-anchored tooltips pinned to their features on the can
+    hotspotTracker.update(model, tooltips);
+  }
+
+  function renderFrame({ continued }) {
+    // Only render if model is loaded to avoid unnecessary renders (and
+    // never without a context: the poster must stay up)
+    if (!model || view.isContextLost()) return;
+
+    drawFrame();
+
+    // Feed frame times to the quality governor while the sequence plays.
+    // Only back-to-back frames count: the loop renders on demand, so the
+    // time since an idle frame (a wheel step, a short tween) says nothing
+    // about how fast the device draws.
+    if (pinnedTrigger.isActive) {
+      if (!continued) qualityGovernor.reset();
+      qualityGovernor.sample(performance.now());
+    } else {
+      qualityGovernor.reset();
+    }
 
-    // Only render if model is loaded to avoid unnecessary renders
-    if (model) {
-      renderer.render(scene, camera);
+    // Hide the poster and loader once the first frame is on screen
+    if (!hasRenderedFirstFrame) {
+      hasRenderedFirstFrame = true;
+      modelStatus.ready();
     }
   }
 
-  // Start the render loop
-  animate();
+  const renderLoop = createRenderLoop(renderFrame);
+
+  // A suspension that is never lifted: no more frames after destroy()
+  onDestroy(() => renderLoop.suspend("destroyed"));
+
+  // Start at the best tier (or the one remembered from earlier this session)
+  applyQualityTier(qualityGovernor.tier);
+
+  // Configured lighting preset (lighting phases take over once they run)
+  applyLightingBlend();
+
+  // Suspend while the section is off screen or the tab is hidden
+  onDestroy(watchVisibility(renderLoop, root));
+
+  /**
+   * WEBGL CONTEXT LOSS
+   * ==================
+   *
+   * The browser can take the WebGL context away at any time (mobile Safari
+   * does after backgrounding or under memory pressure). Until it comes back
+   * the loop stops and the poster covers the canvas.
+   *
+   * On restore, Three.js re-uploads geometry and textures by itself. The
+   * rest is rebuilt here - shader programs, shadow map, lights and
+   * environment - and the scene jumps to the current scroll progress.
+   */
+  function handleContextLost() {
+    renderLoop.suspend("context-lost");
+    qualityGovernor.reset(); // The gap is not a slow frame
+
+    // Only cover a scene that was showing the can (not the loader or error)
+    if (hasRenderedFirstFrame) {
+      hasRenderedFirstFrame = false;
+      modelStatus.contextLost();
+    }
+
+    events.emit("webgl-fallback", { reason: "context-lost" });
+  }
+
+  function handleContextRestored() {
+    if (destroyed) return;
+
+    // Environment maps and shadow map
+    lighting.restore();
+
+    // Pixel ratio, shadows and simplified materials; also flags every
+    // material in the scene for recompilation
+    applyQualityTier(qualityGovernor.tier);
+    applyLightingBlend();
+
+    // Choreography, tooltips and inspect availability
+    syncToScroll();
+
+    // The first frame hides the poster again (see renderFrame)
+    renderLoop.resume("context-lost");
+    events.emit("context-restored");
+  }
 
   /**
    * STEP 9: RESPONSIVE DESIGN HANDLING
    * ==================================
    *
-   * Handle window resizing to maintain proper aspect ratios and positioning
+   * Follow the container's size to maintain proper aspect ratios and
+   * positioning
    */
-  window.addEventListener("resize", () => {
+  function handleResize() {
+    // Inspect mode orbits from the old layout's camera, so leave it
+    inspectMode.close({ immediate: true });
+
+    const { width, height } = getViewport();
+
     // Update camera aspect ratio
-    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.aspect = width / height;
     camera.updateProjectionMatrix(); // Apply aspect ratio changes
 
-    // Update renderer size
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    // Update canvas size (and the pixel ratio, see watchPixelRatio below)
+    view.setSize(width, height);
+    view.setPixelRatio(
+      Math.min(window.devicePixelRatio, qualityGovernor.tier.pixelRatio)
+    );
+
+    // A new breakpoint can retime phases and move tooltips: rebuild and
+    // re-apply everything (see REFRESH ORCHESTRATOR)
+    if (updateBreakpoint()) {
+      refreshScene({ resplit: true });
+      return;
+    }
 
     // Reposition model for new screen size
     setupModel();
 
     // Re-apply the current entrance animation state
     applyEntranceAnimationState();
+
+    // Redraw at the new size
+    renderLoop.invalidate();
+  }
+
+  // Window resizes, layout changes and the full-screen phase all resize
+  // the container
+  const resizeObserver = new ResizeObserver(() => {
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+
+    // Hidden (display: none) or unchanged
+    if (width === 0 || height === 0) return;
+    if (width === containerSize.width && height === containerSize.height) {
+      return;
+    }
+
+    containerSize = { width, height };
+    handleResize();
   });
 
+  resizeObserver.observe(container);
+  onDestroy(() => resizeObserver.disconnect());
+
+  // The device pixel ratio can change without any size change (browser
+  // zoom, moving the window to another screen). A media query for the
+  // current ratio reports that; it is then re-created for the new ratio.
+  let pixelRatioQuery = null;
+
+  function watchPixelRatio() {
+    pixelRatioQuery?.removeEventListener("change", onPixelRatioChange);
+    pixelRatioQuery = window.matchMedia(
+      `(resolution: ${window.devicePixelRatio}dppx)`
+    );
+    pixelRatioQuery.addEventListener("change", onPixelRatioChange);
+  }
+
+  function onPixelRatioChange() {
+    watchPixelRatio();
+    view.setPixelRatio(
+      Math.min(window.devicePixelRatio, qualityGovernor.tier.pixelRatio)
+    );
+    renderLoop.invalidate();
+  }
+
+  watchPixelRatio();
+  onDestroy(() =>
+    pixelRatioQuery.removeEventListener("change", onPixelRatioChange)
+  );
+
+  /**
+   * SCROLL CALLBACK STATE
+   * =====================
+   *
+   * When the page is already scrolled into the pin (e.g. a reload with
+   * scroll restoration), ScrollTrigger.create() runs the first update
+   * straight away - before the trigger is even returned. Everything the
+   * callbacks below touch is therefore declared here, and they read the
+   * trigger they are given instead of `pinnedTrigger`.
+   */
+  let reducedPoseIndex = -1; // See REDUCED MOTION POSES
+  let activePhaseIds = new Set(); // See STORY PROGRESS EVENTS
+  let activeTooltipIndices = new Set();
+  const reachedMilestones = new Set();
+  let announcedStep = -1; // See STORY STEPS FOR ASSISTIVE TECHNOLOGY
+  let chapters = []; // [{ id, progress }], see CHAPTERS
+  let chapterIndex = -1; // Chapter last reported (-1 outside the pin)
+
   /**
    * STEP 10: MAIN SCROLL ANIMATION SYSTEM
    * =====================================
@@ -853,14 +1429,19 @@ document.addEventListener("DOMContentLoaded", () => {
    * A streamlined scroll-triggered animation that coordinates headers, masks,
    * tooltips, and 3D model rotation, ending shortly after tooltips complete.
    */
-  ScrollTrigger.create({
-    trigger: ".product-overview", // Element that triggers the animation
-    start: "top top", // Start when section reaches top of viewport
-    end: `+=${window.innerHeight * 4}`, // End after 1.8 viewport heights (20% longer timeline)
+  const pinnedTrigger = createTrigger({
+    id: "pin",
+    ...pinGeometry, // From the section's top, PIN_LENGTH viewports long
     pin: true, // Pin the section during scroll
     pinSpacing: true, // Maintain spacing around pinned element
     scrub: 1, // Smooth scrubbing (animation follows scroll)
 
+    // Chapter snapping and the URL hash only apply while pinned
+    onToggle: (self) => {
+      updateChapterSnap(self);
+      updateChapter(self);
+    },
+
     /**
      * SCROLL PROGRESS CALLBACK
      * ========================
@@ -869,304 +1450,634 @@ document.addEventListener("DOMContentLoaded", () => {
      * ranging from 0 (start) to 1 (end). Different animations trigger at
      * different progress points for a choreographed experience.
      */
-    onUpdate: ({ progress }) => {
+    onUpdate: (self) => {
+      const { progress } = self;
+
       // Track current scroll progress for resize handling
       currentScrollProgress = progress;
 
-      /**
-       * MODEL GRADIENT FADE (8% progress)
-       * ==================================
-       *
-       * Hide the model gradient overlay early to improve can animation visibility
-       * (Adjusted for 4x longer timeline: 17% / 2.2 = 8%)
-       */
-      const gradientOpacity = progress >= 0.08 ? 0 : 1;
-      gsap.to(".styles__model_gradient", {
-        opacity: gradientOpacity,
-        duration: 0.3,
-        ease: "power2.out",
-      });
+      // Phase, tooltip and scroll-depth events (even while paused)
+      trackStoryProgress(progress);
+      updateChapter(self);
 
-      /**
-       * 3D MODEL ENTRANCE ANIMATION (0% - 5% progress)
-       * ===============================================
-       *
-       * The 3D model moves up from below the viewport to its final position
-       * (Adjusted for 4x longer timeline: 10% / 2 = 5%)
-       */
-      if (model && finalModelPosition && modelSize) {
-        const entranceProgress = Math.max(0, Math.min(1, progress / 0.05)); // 0-5% of scroll
-        const currentY =
-          finalModelPosition.y - (1 - entranceProgress) * modelSize.y * 1.5;
-
-        gsap.to(model.position, {
-          y: currentY,
-          duration: 0.3,
-          ease: "power3.out",
-        });
-      }
+      // resume() catches up with the latest progress
+      if (paused) return;
 
-      /**
-       * MODEL CONTAINER REVEAL & STICKY EFFECT (6% - 90% progress)
-       * ===========================================================
-       *
-       * Handle both scale animation and sticky behavior across longer timeline
-       * (Adjusted for 4x longer timeline: spread across more of the scroll)
-       */
-      const modelProgress = Math.max(0, Math.min(1, (progress - 0.06) / 0.04));
-      const modelScale = progress < 0.15 ? 0.8 : 0.8 + 0.2 * modelProgress; // Scale from 0.8 to 1.0
-
-      if (progress >= 0.9) {
-        // At 90%: sticky behavior with full viewport size
-        gsap.to(".model-container", {
-          scale: modelScale,
-          zIndex: 1000,
-          width: "100vw",
-          height: "100vh",
-          duration: 0.2,
-          ease: "power2.out",
-        });
+      // Every header, mask, container and model animation is described in
+      // js/choreography.js - the engine maps progress onto those phases
+      if (motion.reduced) {
+        showReducedMotionPose(progress);
       } else {
-        // Before 90%: normal scaling behavior
-        gsap.to(".model-container", {
-          scale: modelScale,
-          zIndex: "auto",
-          width: "auto",
-          height: "auto",
-          duration: 0.2,
-          ease: "power2.out",
-        });
+        applySceneState(progress);
       }
 
-      /**
-       * HEADER 1 SLIDE-OUT ANIMATION (12% - 25% progress)
-       * ===============================================
-       *
-       * The first header slides out to the left as the user scrolls
-       * (Adjusted for 4x longer timeline: earlier and more spread out)
-       */
-      const headerProgress = Math.max(0, Math.min(1, (progress - 0.12) / 0.13));
-      gsap.to(".header-1", {
-        xPercent:
-          progress < 0.08
-            ? 0 // Stay in place before 12%
-            : progress > 0.3
-            ? -100 // Fully off-screen after 25%
-            : -100 * headerProgress, // Gradual slide from 12% to 25%
-        duration: 0.4,
-        ease: "linear",
-      });
+      // Let screen readers know when a new header or tooltip is active
+      announceStoryStep(progress);
 
-      /**
-       * CIRCULAR MASK REVEAL (20% - 28% progress)
-       * =========================================
-       *
-       * A circular mask expands to reveal the second header underneath
-       * (Adjusted for 4x longer timeline: earlier timing, shorter duration)
-       */
-      const maskSize =
-        progress < 0.2
-          ? 0 // Hidden before 20%
-          : progress > 0.28
-          ? 100 // Fully revealed after 28%
-          : (100 * (progress - 0.2)) / 0.08; // Expand from 20% to 28%
-
-      gsap.to(".circular-mask", {
-        clipPath: `circle(${maskSize}% at 50% 50%)`, // CSS clip-path for circular reveal
-        duration: 2,
-        ease: "power2.out",
-      });
+      // Offer inspect mode while the container is full-screen
+      inspectMode.setAvailable(progress >= getFullscreenAt());
 
-      /**
-       * HEADER 2 SLIDE-THROUGH ANIMATION (18% - 35% progress)
-       * ====================================================
-       *
-       * The second header slowly slides from right to left across the timeline
-       * (Adjusted for 4x longer timeline: earlier and more condensed)
-       */
-      let header2XPercent;
-      if (progress < 0.18) {
-        header2XPercent = 100; // Start off-screen right
-      } else if (progress > 0.35) {
-        header2XPercent = -100; // End off-screen left
-      } else {
-        // Gradually slide from right (100%) to left (-100%) over 17% of scroll
-        const slideProgress = (progress - 0.18) / 0.17; // 0 to 1 over the 17% range
-        header2XPercent = 100 - 200 * slideProgress; // 100 to -100
-      }
+      // Tooltip animations are handled by dedicated ScrollTrigger instances
+      // See tooltip ScrollTrigger setup below the main scroll animation
+    },
+  });
 
-      gsap.to(".header-2", {
-        xPercent: header2XPercent,
-        zIndex: progress >= 0.18 ? 10 : 1, // Bring to front during mask reveal
-        duration: 0.3, // Shorter duration for smoother follow
-        ease: "none", // Linear easing for consistent scroll mapping
-      });
+  /**
+   * REDUCED MOTION POSES
+   * ====================
+   *
+   * Instead of scrubbing, reduced-motion mode shows a few static poses
+   * (reducedMotionPoses in js/choreography.js). The can crossfades between
+   * them; headers and masks switch instantly while it is hidden.
+   */
+  async function showReducedMotionPose(progress) {
+    const index = getPoseIndex(reducedMotionPoses, progress);
+    if (index === reducedPoseIndex) return;
+    reducedPoseIndex = index;
 
-      /**
-       * HEADER 2 OPACITY ANIMATION (18% progress)
-       * =========================================
-       *
-       * Fade in header-2 opacity just before the mask reveal animation starts
-       * (Adjusted for 4x longer timeline: much earlier)
-       */
-      const header2Opacity = progress >= 0.18 ? 1 : 0;
-      gsap.to(".header-2", {
-        opacity: header2Opacity,
-        duration: 0.3,
-        ease: "power2.out",
-      });
+    const { progress: poseProgress } = reducedMotionPoses[index];
+    const fadingModel = model;
+    const onUpdate = () => renderLoop.invalidate();
 
-      // Tooltip animations are now handled by dedicated ScrollTrigger instances
-      // See tooltip ScrollTrigger setup below the main scroll animation
+    if (fadingModel) {
+      await fadeModel(fadingModel, 0, { duration: 0.25, onUpdate });
 
-      /**
-       * 3D MODEL ROTATION ANIMATION (0% - 100% progress)
-       * ===============================================
-       *
-       * The 3D model rotates throughout the entire pinned section duration
-       * (Now 4x longer, so more total rotation)
-       */
-      if (model) {
-        // Calculate target rotation based on full scroll progress (0-100%)
-        const targetRotation = Math.PI * 8 * progress; // 8 full rotations across entire timeline (4x more)
-
-        // Calculate rotation difference for smooth animation
-        const rotationDiff = targetRotation - currentRotation;
-
-        // Only rotate if there's a significant change (prevents jitter)
-        if (Math.abs(rotationDiff) > 0.001) {
-          model.rotateOnAxis(new THREE.Vector3(0, 1, 0), rotationDiff); // Rotate on Y-axis
-          currentRotation = targetRotation; // Update current rotation tracker
-        }
-      }
+      // A newer pose took over while we were fading out
+      if (destroyed || index !== reducedPoseIndex) return;
+    }
+
+    applySceneState(poseProgress, { immediate: true });
+
+    if (fadingModel) {
+      await fadeModel(fadingModel, 1, { duration: 0.25, onUpdate });
+    }
+  }
 
-      /**
-       * HEADER 2 COLOR TRANSITION (18% - 24% progress)
-       * =============================================
-       *
-       * The second header transitions from white to black as the mask reveals it
-       * (Adjusted for 4x longer timeline: much earlier and shorter duration)
-       */
-      const colorProgress =
-        progress < 0.18
-          ? 0 // White before 18%
-          : progress > 0.24
-          ? 1 // Black after 24%
-          : (progress - 0.18) / 0.06; // Transition from 18% to 24%
-
-      const colorValue = Math.round(255 * (1 - colorProgress)); // 255 = white, 0 = black
-      gsap.to(".header-2", {
-        color: `rgb(${colorValue}, ${colorValue}, ${colorValue})`,
-        duration: 0.15,
-        ease: "power2.out",
+  /**
+   * LIVE MOTION PREFERENCE CHANGES
+   * ==============================
+   * Switch scrolling and choreography when the OS setting (or the forced
+   * attribute) changes, without reloading the page.
+   */
+  motion.onChange((reduced) => {
+    requestSmoothScroll(scrollOwner, !reduced);
+    syncToScroll();
+  });
+
+  // Jump choreography, pinned text and tooltips to the current scroll
+  // progress
+  function syncToScroll() {
+    reducedPoseIndex = -1;
+
+    if (motion.reduced) {
+      showReducedMotionPose(currentScrollProgress);
+    } else {
+      applySceneState(currentScrollProgress, { immediate: true });
+    }
+
+    showPinnedText(currentScrollProgress, true);
+
+    tooltips.forEach(({ timeline, isActive }) => {
+      timeline.progress(isActive(currentScrollProgress) ? 1 : 0);
+    });
+
+    inspectMode.setAvailable(currentScrollProgress >= getFullscreenAt());
+  }
+
+  /**
+   * STORY PROGRESS EVENTS
+   * =====================
+   *
+   * How far visitors get: phases and tooltips report entering and leaving
+   * their windows, and scroll-depth milestones (SCROLL_DEPTH_MILESTONES in
+   * js/analytics.js) are reported once per scene. Only real scrolling
+   * counts - seek() doesn't emit these.
+   */
+  // Emit leave events for ids that dropped out, then enter events
+  function diffActive(previous, next, type, describe) {
+    previous.forEach((id) => {
+      if (!next.has(id)) events.emit(`${type}-leave`, describe(id));
+    });
+    next.forEach((id) => {
+      if (!previous.has(id)) events.emit(`${type}-enter`, describe(id));
+    });
+    return next;
+  }
+
+  function trackStoryProgress(progress) {
+    activePhaseIds = diffActive(
+      activePhaseIds,
+      new Set(
+        phases
+          .filter(
+            ({ range: [start, end] }) => progress >= start && progress <= end
+          )
+          .map(({ id }) => id)
+      ),
+      "phase",
+      (id) => ({ phase: id })
+    );
+
+    activeTooltipIndices = diffActive(
+      activeTooltipIndices,
+      new Set(
+        tooltips
+          .map((tooltip, index) => (tooltip.isActive(progress) ? index : -1))
+          .filter((index) => index >= 0)
+      ),
+      "tooltip",
+      (index) => ({
+        index,
+        title: tooltips[index]?.element
+          .querySelector(".title")
+          ?.textContent.trim(),
+      })
+    );
+
+    SCROLL_DEPTH_MILESTONES.forEach((milestone) => {
+      if (progress < milestone || reachedMilestones.has(milestone)) return;
+
+      reachedMilestones.add(milestone);
+      events.emit("scroll-depth", { depth: Math.round(milestone * 100) });
+    });
+  }
+
+  /**
+   * STORY STEPS FOR ASSISTIVE TECHNOLOGY
+   * ====================================
+   *
+   * Each header and tooltip is a step (see js/accessibility.js). The active
+   * step is announced through an aria-live region, and keyboard users can
+   * move between steps while the model container has focus.
+   */
+  function announceStoryStep(progress) {
+    const index = getStepIndex(storySteps, progress);
+    if (index === announcedStep) return;
+
+    announcedStep = index;
+    if (index >= 0) accessibility.announce(storySteps[index].text);
+  }
+
+  // Page scroll position (px) where the pinned sequence is at a progress
+  function getProgressScroll(progress, trigger = pinnedTrigger) {
+    const { start, end } = trigger;
+    return start + (end - start) * progress;
+  }
+
+  // Scroll so the pinned sequence sits at the given progress
+  function scrollToProgress(progress, { immediate = false } = {}) {
+    const target = getProgressScroll(progress);
+
+    const lenis = getLenis();
+    if (lenis) {
+      lenis.scrollTo(target, { immediate });
+    } else {
+      window.scrollTo({
+        top: target,
+        behavior: immediate || motion.reduced ? "auto" : "smooth",
       });
-    },
+    }
+  }
+
+  const unbindStepKeys = bindStepKeys(container, (direction) => {
+    if (storySteps.length === 0) return;
+
+    const current = getStepIndex(storySteps, currentScrollProgress);
+    const last = storySteps.length - 1;
+    const index =
+      direction === "first"
+        ? 0
+        : direction === "last"
+        ? last
+        : Math.max(0, Math.min(last, current + direction));
+
+    // Land just inside the step so it counts as active
+    scrollToProgress(Math.min(1, storySteps[index].at + 0.005));
   });
 
+  onDestroy(unbindStepKeys);
+
   /**
-   * TOOLTIP SCROLL TRIGGERS
-   * =======================
+   * CHAPTERS
+   * ========
    *
-   * Dedicated ScrollTrigger instances for tooltip animations at 80%-99% progress.
-   * Each tooltip gets its own trigger for proper enter/leave handling.
+   * Named stops in the pinned story (see js/chapters.js):
+   * - Arrow Up/Down and Page Up/Down jump between chapters while the
+   *   section is pinned; past the first or last one the page scrolls on
+   * - With `snapToChapters`, smooth scrolling settles on a chapter when it
+   *   comes to rest close to one
+   * - A hash such as `#features` scrolls straight to that chapter on load,
+   *   and follows along while scrolling through the pin
+   *
+   * Chapter ids double as hashes: give every scene on a page its own ids.
    */
-  function createTooltipScrollTriggers() {
-    // Only create triggers if timelines exist (after text splitting is complete)
-    if (tooltipTimelines.length === 0) {
-      // Retry after a short delay if timelines aren't ready yet
-      setTimeout(createTooltipScrollTriggers, 100);
+  const CHAPTER_KEYS = { ArrowDown: 1, PageDown: 1, ArrowUp: -1, PageUp: -1 };
+
+  let lastJump = null; // { index, time } of the latest keyboard jump
+
+  // Chapters move with the phases and tooltips (see REFRESH ORCHESTRATOR)
+  function updateChapters() {
+    chapters = resolveChapters(config.chapters ?? sceneChapters, {
+      phases,
+      tooltips: tooltips.map(({ config }) => config),
+    });
+    updateChapterSnap();
+  }
+
+  // Snap points only exist while pinned, so the rest of the page scrolls
+  // freely
+  function updateChapterSnap(trigger = pinnedTrigger) {
+    const points =
+      config.snapToChapters && trigger.isActive
+        ? [
+            ...chapters.map(({ progress }) =>
+              getProgressScroll(progress, trigger)
+            ),
+            trigger.end,
+          ]
+        : null;
+
+    setSnapPoints(scrollOwner, points);
+  }
+
+  onDestroy(() => setSnapPoints(scrollOwner, null));
+
+  // The chapter a URL hash names (ids of real elements are left alone)
+  function findHashChapter(hash = location.hash) {
+    const id = decodeURIComponent(hash.slice(1));
+    if (!id || document.getElementById(id)) return null;
+
+    return chapters.find((chapter) => chapter.id === id) ?? null;
+  }
+
+  function replaceHash(hash) {
+    history.replaceState(
+      history.state,
+      "",
+      `${location.pathname}${location.search}${hash}`
+    );
+  }
+
+  function updateChapter({ isActive, progress }) {
+    const index = isActive ? getChapterIndex(chapters, progress) : -1;
+    if (index === chapterIndex) return;
+    chapterIndex = index;
+
+    const chapter = chapters[index];
+    if (chapter) events.emit("chapter", { chapter: chapter.id });
+
+    // Only replace an empty hash or one of ours, never another anchor
+    if (location.hash && !findHashChapter()) return;
+    replaceHash(chapter ? `#${chapter.id}` : "");
+  }
+
+  function jumpToChapter(direction) {
+    // Presses during the scroll animation continue from where it is going
+    const now = performance.now();
+    const repeated = lastJump && now - lastJump.time < 1000;
+    const current = repeated
+      ? lastJump.index
+      : getChapterIndex(chapters, currentScrollProgress);
+
+    let index = current + direction;
+
+    // Up first returns to the start of the current chapter
+    if (
+      direction < 0 &&
+      !repeated &&
+      current >= 0 &&
+      currentScrollProgress - chapters[current].progress > 0.01
+    ) {
+      index = current;
+    }
+
+    if (index < 0 || index >= chapters.length) return false;
+
+    lastJump = { index, time: now };
+    scrollToProgress(chapters[index].progress);
+    return true;
+  }
+
+  listen(document, "keydown", (event) => {
+    // The container's story-step keys have already handled their events
+    const direction = CHAPTER_KEYS[event.key];
+    if (!direction || event.defaultPrevented) return;
+    if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) {
       return;
     }
+    if (!pinnedTrigger.isActive || paused || unlockScroll) return;
 
-    tooltipTimelines.forEach((timeline, index) => {
-      const trigger = ScrollTrigger.create({
-        trigger: ".product-overview",
-        start: "top top",
-        end: `+=${window.innerHeight * 4}`, // Match main scroll animation (4x longer)
-        scrub: false, // No scrubbing - discrete enter/leave animations
+    // Form fields and buttons keep their own arrow keys
+    const target = event.target;
+    if (
+      target.isContentEditable ||
+      target.closest?.("input, select, textarea, button")
+    ) {
+      return;
+    }
 
-        onUpdate: ({ progress }) => {
-          // Tooltip visibility window: 35% - 45% of scroll progress (adjusted for 4x timeline)
-          const isInTooltipRange = progress >= 0.45 && progress <= 0.85;
+    if (jumpToChapter(direction)) event.preventDefault();
+  });
 
-          if (isInTooltipRange) {
-            // Play tooltip animation when entering the range
-            timeline.play();
-          } else {
-            // Reverse tooltip animation when leaving the range
-            timeline.reverse();
-          }
-        },
+  // Deep link on load. The layout keeps settling until the page has
+  // loaded, so every refresh until then lands on the chapter again - unless
+  // the visitor has started scrolling themselves.
+  let pendingHash = location.hash;
 
-        // Initialize tooltip state on refresh based on current scroll position
-        onRefresh: ({ progress }) => {
-          const isInTooltipRange = progress >= 0.35 && progress <= 0.45;
+  function applyPendingHash() {
+    const chapter = pendingHash && findHashChapter(pendingHash);
+    if (chapter) scrollToProgress(chapter.progress, { immediate: true });
 
-          if (isInTooltipRange) {
-            timeline.progress(1); // Show tooltip immediately if in range
-          } else {
-            timeline.progress(0); // Hide tooltip immediately if out of range
-          }
-        },
+    if (document.readyState === "complete") pendingHash = "";
+  }
 
-        // Additional enter/leave callbacks for reliability
-        onEnter: ({ progress }) => {
-          if (progress >= 0.35) {
-            timeline.play();
-          }
-        },
+  const cancelPendingHash = () => (pendingHash = "");
+  ["wheel", "touchstart", "keydown"].forEach((type) =>
+    listen(window, type, cancelPendingHash)
+  );
 
-        onLeave: ({ progress }) => {
-          if (progress > 0.45) {
-            timeline.reverse();
-          }
-        },
+  // Links to a chapter (e.g. in the navigation) scroll there
+  listen(window, "hashchange", () => {
+    const chapter = findHashChapter();
+    if (chapter) scrollToProgress(chapter.progress);
+  });
 
-        onEnterBack: ({ progress }) => {
-          if (progress >= 0.35 && progress <= 0.45) {
-            timeline.play();
-          }
-        },
+  /**
+   * TOOLTIP SCROLL TRIGGER
+   * ======================
+   *
+   * One discrete (non-scrubbed) trigger over the pinned distance plays and
+   * reverses every tooltip's timeline at its visibility window
+   * (data-show-from/-to). It always works on the current `tooltips`, so
+   * rebuilding them never needs new triggers.
+   */
+  function hideTooltip(timeline) {
+    if (motion.reduced) {
+      timeline.progress(0);
+    } else {
+      timeline.reverse();
+    }
+  }
 
-        onLeaveBack: ({ progress }) => {
-          if (progress < 0.35) {
-            timeline.reverse();
-          }
-        },
+  createTrigger({
+    id: "tooltips",
+    ...pinGeometry,
+    scrub: false, // No scrubbing - discrete enter/leave animations
+
+    onUpdate: ({ progress }) => {
+      if (paused) return; // resume() syncs tooltips
+
+      tooltips.forEach(({ timeline, isActive }) => {
+        if (motion.reduced) {
+          // Text appears without line slide-ins
+          timeline.progress(isActive(progress) ? 1 : 0);
+        } else if (isActive(progress)) {
+          // Play tooltip animation when entering its window
+          timeline.play();
+        } else {
+          // Reverse tooltip animation when leaving its window
+          timeline.reverse();
+        }
       });
+    },
+
+    // Leaving the pinned section always hides the tooltips
+    onLeave: () => tooltips.forEach(({ timeline }) => hideTooltip(timeline)),
+    onLeaveBack: () =>
+      tooltips.forEach(({ timeline }) => hideTooltip(timeline)),
+  });
+
+  /**
+   * REFRESH ORCHESTRATOR
+   * ====================
+   *
+   * ScrollTrigger re-measures every trigger on a refresh (window resize,
+   * refresh(), another scene changing the page height). Afterwards this
+   * one routine brings the scene in line with the new layout, in order:
+   * 1. Re-split tooltip text and rebuild its timelines - only when the
+   *    section's width changed, since that is what moves line breaks
+   * 2. Re-frame the model for the current container and breakpoint
+   * 3. Re-place the chapters (and a pending #chapter deep link)
+   * 4. Restore the exact visual state for the current scroll progress
+   *
+   * The container's own size changes go through handleResize(), which
+   * calls this when the breakpoint changes.
+   */
+  let splitWidth = null; // Section width the tooltip text was split at
+
+  function refreshScene({ resplit = false } = {}) {
+    if (destroyed) return;
+
+    const width = root.clientWidth;
+    if (resplit || width !== splitWidth) {
+      splitWidth = width;
+      rebuildTooltips();
+    }
+
+    setupModel();
+    updateChapters();
+    applyPendingHash();
+
+    // pause() holds the state; resume() syncs it again
+    if (!paused) {
+      currentScrollProgress = pinnedTrigger.progress;
+      syncToScroll();
+    }
+
+    renderLoop.invalidate();
+  }
+
+  const onScrollTriggerRefresh = () => refreshScene();
+  ScrollTrigger.addEventListener("refresh", onScrollTriggerRefresh);
+  onDestroy(() =>
+    ScrollTrigger.removeEventListener("refresh", onScrollTriggerRefresh)
+  );
+
+  // First layout, then again once web fonts have changed the line breaks
+  refreshScene({ resplit: true });
+  document.fonts?.ready.then(() => refreshScene({ resplit: true }));
+
+  /**
+   * SEEK
+   * ====
+   *
+   * Put the whole scene into the exact state for a progress value: every
+   * in-flight follow-tween is dropped, values are set directly and a frame
+   * is drawn straight away. The page itself does not scroll, so the next
+   * scroll update takes over again (pause() first to hold the state).
+   * Same progress in, same pixels out - handy for visual regression tests
+   * driven from a headless browser.
+   */
+  function seek(progress) {
+    if (destroyed) return;
+
+    currentScrollProgress = gsap.utils.clamp(0, 1, progress);
+
+    // User input and follow-tweens would make the result timing-dependent
+    inspectMode.close({ immediate: true });
+    dragRotate.reset();
+    gsap.killTweensOf(styledElements);
+    gsap.killTweensOf(lightingBlend);
+    if (model) gsap.killTweensOf(model.position);
+    finishFades();
+
+    // Reduced motion shows the pose for this progress, without the fade
+    reducedPoseIndex = getPoseIndex(reducedMotionPoses, currentScrollProgress);
+    applySceneState(
+      motion.reduced
+        ? reducedMotionPoses[reducedPoseIndex].progress
+        : currentScrollProgress,
+      { immediate: true }
+    );
+
+    // The section is always past its header reveal while pinned
+    revealHeaderChars(true, true);
+
+    // The fixed text's trigger spans the pin too (see PIN GEOMETRY)
+    showPinnedText(currentScrollProgress, true);
 
-      // Store the ScrollTrigger instance for cleanup
-      tooltipScrollTriggers.push(trigger);
+    tooltips.forEach(({ timeline, isActive }) => {
+      timeline.progress(isActive(currentScrollProgress) ? 1 : 0).pause();
     });
 
-    // Force initial state check after all triggers are created
-    setTimeout(() => {
-      ScrollTrigger.refresh();
-
-      // Double-check initial state after refresh
-      const productOverview = document.querySelector(".product-overview");
-      if (productOverview) {
-        const rect = productOverview.getBoundingClientRect();
-        const scrollTop =
-          window.pageYOffset || document.documentElement.scrollTop;
-        const triggerTop = scrollTop + rect.top;
-        const currentScroll = scrollTop;
-        const endPoint = triggerTop + window.innerHeight * 1.8;
-
-        if (currentScroll >= triggerTop && currentScroll <= endPoint) {
-          const progress =
-            (currentScroll - triggerTop) / (window.innerHeight * 1.8);
-          const isInTooltipRange = progress >= 0.7 && progress <= 0.89;
-
-          tooltipTimelines.forEach((timeline) => {
-            if (isInTooltipRange) {
-              timeline.progress(1);
-            } else {
-              timeline.progress(0);
-            }
-          });
-        }
-      }
-    }, 200);
+    inspectMode.setAvailable(currentScrollProgress >= getFullscreenAt());
+
+    if (model) drawFrame();
+  }
+
+  // Jump model switches and reduced-motion pose fades to their end: retired
+  // models leave the scene and the active one is fully opaque again
+  function finishFades() {
+    retiredModels.forEach((retired) => {
+      gsap.killTweensOf(retired.userData.fadeState);
+      scene.remove(retired);
+    });
+    retiredModels.clear();
+
+    const fade = model?.userData.fadeState;
+    if (fade && (fade.opacity < 1 || gsap.isTweening(fade))) {
+      fadeModel(model, 1, { duration: 0 });
+    }
+  }
+
+  function snapshot(progress, type = "image/png") {
+    seek(progress);
+    return model && !view.isContextLost() ? view.toDataURL(type) : null;
+  }
+
+  /**
+   * DEBUG HUD
+   * =========
+   * With ?debug in the URL, show live readouts and tuning controls
+   * (see js/debug-hud.js). Edits apply immediately; nothing is saved.
+   */
+  const debugHud = isDebugEnabled()
+    ? createDebugHud({
+        title: root.id ? `#${root.id}` : `.${root.classList[0]}`,
+        sample: () => ({
+          progress: currentScrollProgress,
+          phases: phases
+            .filter(
+              ({ range: [start, end] }) =>
+                currentScrollProgress >= start && currentScrollProgress <= end
+            )
+            .map(({ id }) => id),
+          tier: qualityGovernor.tier.name,
+          contextLost: view.isContextLost(),
+          camera,
+          model,
+          triggers: ScrollTrigger.getAll().filter(
+            (trigger) => trigger.trigger === root
+          ),
+        }),
+        modelConfig,
+        onModelConfig: () => {
+          if (model) applyModelConfig(model);
+          handleResize(); // Re-frames the model and redraws
+        },
+        lighting: config.lighting,
+        onLighting: (tuned) => {
+          config.lighting = tuned;
+          lightingBlend.from = tuned;
+          lightingBlend.to = tuned;
+          applyLightingBlend();
+        },
+        renderer: view.renderer,
+      })
+    : null;
+
+  onDestroy(() => debugHud?.destroy());
+
+  /**
+   * INSTANCE API
+   * ============
+   */
+  function pause() {
+    if (paused || destroyed) return;
+
+    paused = true;
+    inspectMode.close({ immediate: true }); // Don't leave the page frozen
+    renderLoop.suspend("paused");
+  }
+
+  function resume() {
+    if (!paused || destroyed) return;
+
+    paused = false;
+    syncToScroll(); // Scrolling may have continued while paused
+    renderLoop.resume("paused");
   }
+
+  function refresh() {
+    if (destroyed) return;
+
+    // Re-split even at the same width: the text itself may have changed.
+    // ScrollTrigger's refresh event runs the orchestrator.
+    splitWidth = null;
+    ScrollTrigger.refresh();
+  }
+
+  return {
+    destroy,
+    pause,
+    resume,
+    refresh,
+    switchModel: selectModel,
+    setLabel,
+    seek,
+    snapshot,
+    on: events.on,
+    ready,
+  };
+}
+
+/**
+ * AUTO-INITIALIZATION
+ * ===================
+ *
+ * Wait for the DOM, then mount a scene on every `.product-overview` or
+ * `[data-can-scene]` section. Add `data-can-scene="manual"` to a section to
+ * mount it yourself instead, e.g. from a page-transition hook:
+ *
+ *   const scene = window.createCanScene(section);
+ *   // ...before the page leaves
+ *   scene.destroy();
+ */
+// The production bundle is loaded by a plain <script>, so expose the factory
+window.createCanScene = createCanScene;
+
+// Page-wide analytics sink, e.g. window.setCanSceneAnalytics({ track })
+window.setCanSceneAnalytics = setAnalyticsAdapter;
+
+document.addEventListener("DOMContentLoaded", () => {
+  const roots = [...document.querySelectorAll(SCENE_ROOTS)].filter(
+    (root) => root.dataset.canScene !== "manual"
+  );
+
+  // Public API for other page scripts, e.g. window.canScene.switchModel(url)
+  window.canScenes = roots.map((root) => createCanScene(root));
+  window.canScene = window.canScenes[0]; // The first scene, for single-scene pages
+
+  // Logo and menu colours follow the sections' data-nav-theme declarations
+  createNavTheme();
 });
@@ -0,0 +1,137 @@
+/**
+ * Smooth Scroll - Shared Lenis Instance
+ * =====================================
+ *
+ * Lenis drives the scroll position of the whole page, so there must only be
+ * one instance no matter how many scenes are mounted. Each scene asks for
+ * smooth scrolling with its own owner token; Lenis runs while at least one
+ * scene wants it and is destroyed when the last one lets go.
+ *
+ * Snapping (Lenis Snap) is shared the same way: each owner hands in its
+ * snap points, and the page has one Snap instance with all of them.
+ *
+ * LEARNING OBJECTIVES:
+ * - Share a page-level resource between independent components
+ * - Keep Lenis and ScrollTrigger in sync through GSAP's ticker
+ */
+
+import Lenis from "lenis";
+import Snap from "lenis/snap";
+
+let lenis = null;
+const owners = new Set();
+
+let snap = null;
+const snapPoints = new Map(); // owner -> scroll positions (px)
+
+// Connect Lenis to GSAP's ticker so both run in the same frame
+const tick = (time) => lenis?.raf(time * 1000);
+
+/**
+ * REQUEST SMOOTH SCROLL
+ * =====================
+ *
+ * @param {*} owner - Any unique value identifying the caller (e.g. a scene)
+ * @param {boolean} enabled - Whether this owner wants smooth scrolling
+ */
+export function requestSmoothScroll(owner, enabled) {
+  if (enabled) {
+    owners.add(owner);
+  } else {
+    owners.delete(owner);
+  }
+
+  if (owners.size > 0 && !lenis) {
+    lenis = new Lenis();
+
+    // Sync Lenis scroll with ScrollTrigger for accurate trigger points
+    lenis.on("scroll", ScrollTrigger.update);
+    gsap.ticker.add(tick);
+    updateSnap();
+  } else if (owners.size === 0 && lenis) {
+    gsap.ticker.remove(tick);
+    lenis.destroy();
+    lenis = null;
+    updateSnap();
+  }
+}
+
+/**
+ * Rebuild the shared Snap from every owner's points
+ */
+function updateSnap() {
+  snap?.destroy();
+  snap = null;
+
+  const points = [...snapPoints.values()].flat();
+  if (!lenis || points.length === 0) return;
+
+  // "proximity" only snaps when a point is within a viewport height
+  snap = new Snap(lenis, { type: "proximity" });
+  points.forEach((point) => snap.add(point));
+}
+
+/**
+ * SET SNAP POINTS
+ * ===============
+ *
+ * Snap to these scroll positions (px) while Lenis runs. Pass an empty list
+ * (or null) to remove the owner's points. Points are kept while smooth
+ * scrolling is off and come back with it.
+ */
+export function setSnapPoints(owner, points) {
+  if (points?.length) {
+    snapPoints.set(owner, points);
+  } else if (!snapPoints.delete(owner)) {
+    return; // Nothing changed
+  }
+
+  updateSnap();
+}
+
+/**
+ * The active Lenis instance, or null while the page scrolls natively
+ */
+export function getLenis() {
+  return lenis;
+}
+
+// Keys that scroll the page natively
+const SCROLL_KEYS = new Set([
+  " ",
+  "ArrowDown",
+  "ArrowUp",
+  "End",
+  "Home",
+  "PageDown",
+  "PageUp",
+]);
+
+/**
+ * LOCK SCROLL
+ * ===========
+ *
+ * Freeze the page (e.g. while the user inspects the can) without hiding the
+ * scrollbar - that would resize the page and refresh every ScrollTrigger.
+ * Returns a function that unlocks it again.
+ */
+export function lockScroll() {
+  const prevent = (event) => event.preventDefault();
+  const preventKeys = (event) => {
+    if (!SCROLL_KEYS.has(event.key)) return;
+    if (event.target.closest?.("button, input, select, textarea")) return;
+    event.preventDefault();
+  };
+
+  window.addEventListener("wheel", prevent, { passive: false });
+  window.addEventListener("touchmove", prevent, { passive: false });
+  window.addEventListener("keydown", preventKeys);
+  lenis?.stop();
+
+  return () => {
+    window.removeEventListener("wheel", prevent);
+    window.removeEventListener("touchmove", prevent);
+    window.removeEventListener("keydown", preventKeys);
+    lenis?.start();
+  };
+}
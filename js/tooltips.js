@@ -0,0 +1,337 @@
+/**
+ * Tooltip System - Attribute-Discovered Feature Callouts
+ * ======================================================
+ *
+ * Every `.tooltip` element inside the pinned section is discovered
+ * automatically. Webflow editors configure each one with data attributes,
+ * so adding a third (or fifth) callout needs no code change:
+ *
+ *   <div class="tooltip"
+ *        data-show-from="0.45"   Scroll progress where it appears
+ *        data-show-to="0.85"     Scroll progress where it hides again
+ *        data-anchor="top-right" Placement preset (see TOOLTIP_ANCHORS)
+ *        data-stagger="0.3">     Total stagger across the text lines (s)
+ *
+ * The markup can also be rendered from data (see RENDER TOOLTIPS), so a
+ * CMS collection page can present a different product's features.
+ *
+ * LEARNING OBJECTIVES:
+ * - Drive behaviour from markup with data attributes
+ * - Scope SplitText and DrawSVG animations to a single component
+ * - Keep setup and teardown symmetrical (create / revert)
+ */
+
+/**
+ * TOOLTIP DEFAULTS
+ * ================
+ * Used when an attribute is missing or not a valid number
+ */
+export const TOOLTIP_DEFAULTS = {
+  showFrom: 0.45, // Appear at 45% of the pinned scroll
+  showTo: 0.85, // Hide again after 85%
+  stagger: 0.3, // Text lines reveal over 0.3s in total
+};
+
+/**
+ * ANCHOR PRESETS
+ * ==============
+ * Absolute placement inside `.tooltips`. Use `data-anchor="none"` to keep
+ * the position defined in Webflow.
+ */
+export const TOOLTIP_ANCHORS = {
+  "bottom-left": { bottom: "2rem", left: "4rem" },
+  "top-right": { top: "2rem", right: "6rem" },
+  "top-left": { top: "2rem", left: "4rem" },
+  "bottom-right": { bottom: "2rem", right: "6rem" },
+  none: null,
+};
+
+// Tooltips without a data-anchor cycle through these presets in DOM order
+const DEFAULT_ANCHOR_ORDER = [
+  "bottom-left",
+  "top-right",
+  "top-left",
+  "bottom-right",
+];
+
+// Rendered tooltips without an `align` alternate sides like the markup
+const DEFAULT_ALIGN_ORDER = ["left", "right"];
+
+/**
+ * Parse a numeric data attribute, falling back when missing or invalid
+ */
+function readNumber(element, name, fallback) {
+  const value = parseFloat(element.dataset[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * READ TOOLTIP CONFIG
+ * ===================
+ * Build the config object for one tooltip from its data attributes.
+ */
+export function readTooltipConfig(element, index) {
+  const anchor =
+    element.dataset.anchor ||
+    DEFAULT_ANCHOR_ORDER[index % DEFAULT_ANCHOR_ORDER.length];
+
+  return {
+    showFrom: readNumber(element, "showFrom", TOOLTIP_DEFAULTS.showFrom),
+    showTo: readNumber(element, "showTo", TOOLTIP_DEFAULTS.showTo),
+    stagger: readNumber(element, "stagger", TOOLTIP_DEFAULTS.stagger),
+    anchor: anchor in TOOLTIP_ANCHORS ? anchor : "none",
+  };
+}
+
+/**
+ * DISCOVER TOOLTIPS
+ * =================
+ * Find every `.tooltip` under the root and pair it with its config.
+ */
+export function discoverTooltips(root = document) {
+  return [...root.querySelectorAll(".tooltip")].map((element, index) => ({
+    element,
+    config: readTooltipConfig(element, index),
+  }));
+}
+
+/**
+ * RENDER TOOLTIPS
+ * ===============
+ *
+ * Build the `.tooltip` markup from data instead of the Webflow Designer:
+ *
+ *   {
+ *     title: "Multi-Vector",
+ *     description: "Supports nervous system realignment...",
+ *     badge: "2.0",           // Text in the icon (or icon: "image URL")
+ *     align: "left",          // "left" / "right"; alternates by default
+ *     anchor, showFrom, showTo, stagger, hotspot, hotspotNode,
+ *     hotspotNormal           // Written to the data attributes above
+ *   }
+ *
+ * Text is set with textContent, so CMS copy can't inject markup.
+ */
+
+// Data keys copied onto the element's data attributes
+const TOOLTIP_DATA_KEYS = [
+  "anchor",
+  "showFrom",
+  "showTo",
+  "stagger",
+  "hotspot",
+  "hotspotNode",
+  "hotspotNormal",
+];
+
+// Divider line shapes (viewBox 0 0 184 28) for each alignment
+const DIVIDER_PATHS = {
+  left: "M183 1L157 27H0",
+  right: "M1 1L27 27H184",
+};
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Create an element with classes and optional text
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+function createDivider(align) {
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("width", "100%");
+  svg.setAttribute("viewBox", "0 0 184 28");
+  svg.setAttribute("fill", "none");
+  svg.setAttribute("class", "tooltip-colour");
+
+  const path = document.createElementNS(SVG_NS, "path");
+  path.setAttribute("d", DIVIDER_PATHS[align]);
+  path.setAttribute("stroke", "currentColor");
+  svg.appendChild(path);
+
+  const divider = createElement("div", "divider");
+  divider.appendChild(svg);
+  return divider;
+}
+
+/**
+ * Build one tooltip element (same structure as the Webflow markup)
+ */
+export function buildTooltip(item, index) {
+  const align =
+    item.align === "right" || item.align === "left"
+      ? item.align
+      : DEFAULT_ALIGN_ORDER[index % DEFAULT_ALIGN_ORDER.length];
+
+  const element = createElement(
+    "div",
+    align === "right" ? "tooltip align-right" : "tooltip"
+  );
+  TOOLTIP_DATA_KEYS.forEach((key) => {
+    if (item[key] !== undefined) element.dataset[key] = String(item[key]);
+  });
+
+  const iconTitle = createElement("div", "tooltip-icon_title");
+  if (item.icon || item.badge) {
+    const icon = createElement("div", "icon");
+    if (item.icon) {
+      const image = createElement("img", "tooltip-icon_image");
+      image.src = item.icon;
+      image.alt = "";
+      icon.appendChild(image);
+    } else {
+      icon.appendChild(
+        createElement("div", "styles__nav-version", String(item.badge))
+      );
+    }
+    iconTitle.appendChild(icon);
+  }
+
+  const title = createElement("div", "title");
+  title.appendChild(createElement("h2", "styles__h2_pin", item.title ?? ""));
+  iconTitle.appendChild(title);
+
+  element.append(createDivider(align), iconTitle);
+
+  if (item.description) {
+    const description = createElement(
+      "div",
+      align === "left" ? "description is-left" : "description"
+    );
+    description.appendChild(
+      createElement(
+        "p",
+        "paragraph-sm u_p_uppercase u-text-black",
+        item.description
+      )
+    );
+    element.appendChild(description);
+  }
+
+  return element;
+}
+
+/**
+ * Replace the authored tooltips inside `.tooltips` with rendered ones.
+ * Returns a function that puts the authored markup back.
+ */
+export function renderTooltips(root, items) {
+  const list = root.querySelector(".tooltips");
+  if (!list || !items?.length) return () => {};
+
+  const authored = [...list.querySelectorAll(".tooltip")];
+  authored.forEach((element) => element.remove());
+
+  const rendered = items.map(buildTooltip);
+  list.append(...rendered);
+
+  return () => {
+    rendered.forEach((element) => element.remove());
+    list.append(...authored);
+  };
+}
+
+/**
+ * CREATE TOOLTIP
+ * ==============
+ *
+ * Split the tooltip's text, place it, and build its own reveal timeline:
+ * divider draws first, icon drops in, then title/description lines slide up.
+ *
+ * Returns { element, config, timeline, isActive(progress), revert() }.
+ */
+export function createTooltip(element, config) {
+  // Force layout so SplitText measures the final line breaks
+  element.offsetHeight;
+
+  const anchorStyles = TOOLTIP_ANCHORS[config.anchor];
+  if (anchorStyles) {
+    gsap.set(element, { position: "absolute", ...anchorStyles });
+  }
+
+  // Split title and description into lines for line-by-line animation
+  const splits = [
+    element.querySelector(".title"),
+    element.querySelector(".description p"),
+  ]
+    .filter(Boolean)
+    .map(
+      (target) => new SplitText(target, { type: "lines", linesClass: "line" })
+    );
+
+  // Wrap each line in a span for smooth reveal animations
+  splits.forEach((split) =>
+    split.lines.forEach(
+      (line) => (line.innerHTML = `<span>${line.innerHTML}</span>`)
+    )
+  );
+
+  const dividerElements = element.querySelectorAll(".divider path");
+  const iconElements = element.querySelectorAll(".icon");
+  const textElements = element.querySelectorAll(
+    ".title .line > span, .description .line > span"
+  );
+
+  // Set initial states
+  gsap.set(dividerElements, { drawSVG: "0%" }); // Dividers start with 0 width
+  gsap.set(textElements, { y: "125%" }); // Text elements start below viewport
+  gsap.set(iconElements, { y: -40, opacity: 0 }); // Icons start above with 0 opacity
+
+  // Create coordinated animation sequence
+  const timeline = gsap
+    .timeline({ paused: true })
+    .to(
+      dividerElements,
+      {
+        drawSVG: "100%",
+        duration: 1.5,
+        ease: "power3.out",
+      },
+      0
+    ) // Dividers animate first
+    .to(
+      iconElements,
+      {
+        y: 0,
+        opacity: 1,
+        duration: 0.6,
+        ease: "power3.out",
+      },
+      0.2
+    ) // Icons follow shortly after
+    .to(
+      textElements,
+      {
+        y: "0%",
+        duration: 0.4,
+        ease: "power3.out",
+        stagger: {
+          amount: config.stagger,
+          from: "start",
+        },
+      },
+      0.8
+    ); // Text follows icons
+
+  return {
+    element,
+    config,
+    timeline,
+    isActive: (progress) =>
+      progress >= config.showFrom && progress <= config.showTo,
+    revert() {
+      timeline.kill();
+      splits.forEach((split) => split.revert());
+
+      // A rebuild may use another anchor (e.g. at a new breakpoint)
+      if (anchorStyles) {
+        gsap.set(element, { clearProps: "position,top,right,bottom,left" });
+      }
+    },
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Analytics Tests
+ * ===============
+ *
+ * Adapter resolution in js/analytics.js.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  resolveAnalyticsAdapter,
+  setAnalyticsAdapter,
+} from "../js/analytics.js";
+
+test("nothing is tracked by default", () => {
+  assert.equal(resolveAnalyticsAdapter(undefined), null);
+});
+
+test("null and false turn tracking off without a warning", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  setAnalyticsAdapter({ track() {} });
+
+  assert.equal(resolveAnalyticsAdapter(null), null);
+  assert.equal(resolveAnalyticsAdapter(false), null);
+  assert.equal(warn.mock.callCount(), 0);
+
+  setAnalyticsAdapter(null);
+});
+
+test("named adapters and adapter objects are used as they are", () => {
+  const adapter = { track() {} };
+
+  assert.equal(resolveAnalyticsAdapter(adapter), adapter);
+  assert.equal(resolveAnalyticsAdapter("none"), null);
+  assert.equal(typeof resolveAnalyticsAdapter("console").track, "function");
+});
+
+test("an unknown name warns once and falls back to the page default", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const adapter = { track() {} };
+  setAnalyticsAdapter(adapter);
+
+  assert.equal(resolveAnalyticsAdapter("plausible"), adapter);
+  assert.equal(resolveAnalyticsAdapter("plausible"), adapter);
+  assert.equal(warn.mock.callCount(), 1);
+
+  setAnalyticsAdapter(null);
+});
+
+test("inherited object keys are not adapter names", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const adapter = { track() {} };
+  setAnalyticsAdapter(adapter);
+
+  assert.equal(resolveAnalyticsAdapter("constructor"), adapter);
+  assert.equal(resolveAnalyticsAdapter("toString"), adapter);
+  assert.equal(warn.mock.callCount(), 2);
+
+  setAnalyticsAdapter(null);
+});
@@ -0,0 +1,89 @@
+/**
+ * Breakpoint Tests
+ * ================
+ *
+ * resolveBreakpoint (js/breakpoints.js): which breakpoint is active and
+ * how framing values are interpolated between neighbours.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveBreakpoint } from "../js/breakpoints.js";
+
+const base = {
+  cameraDistance: 3,
+  rotation: -15,
+  horizontalOffset: 0.4,
+  verticalOffset: -0.05,
+};
+
+const breakpoints = {
+  mobile: { width: 767, cameraDistance: 4, rotation: 0, horizontalOffset: 0 },
+  desktop: { width: 1024 },
+  tall: { width: 1024, orientation: "portrait", cameraDistance: 3.6 },
+};
+
+test("below the narrowest breakpoint its values apply unchanged", () => {
+  const { name, values } = resolveBreakpoint(
+    { width: 375, height: 812 },
+    breakpoints,
+    base
+  );
+
+  assert.equal(name, "mobile");
+  assert.deepEqual(values, {
+    cameraDistance: 4,
+    rotation: 0,
+    horizontalOffset: 0,
+    verticalOffset: -0.05, // Missing on the breakpoint: base value
+  });
+});
+
+test("values are interpolated linearly between two breakpoints", () => {
+  const { name, values } = resolveBreakpoint(
+    { width: 767 + (1024 - 767) / 4, height: 900 },
+    breakpoints,
+    base
+  );
+
+  assert.equal(name, "mobile"); // The widest match at or below the width
+  assert.equal(values.cameraDistance, 3.75);
+  assert.equal(values.rotation, -3.75);
+  assert.equal(values.horizontalOffset, 0.1);
+});
+
+test("conditional breakpoints win at the same width", () => {
+  const portrait = resolveBreakpoint(
+    { width: 1100, height: 1400 },
+    breakpoints,
+    base
+  );
+  const landscape = resolveBreakpoint(
+    { width: 1100, height: 700 },
+    breakpoints,
+    base
+  );
+
+  assert.equal(portrait.name, "tall");
+  assert.equal(portrait.values.cameraDistance, 3.6);
+  assert.equal(landscape.name, "desktop");
+  assert.equal(landscape.values.cameraDistance, 3);
+});
+
+test("phase and tooltip overrides come from the active breakpoint", () => {
+  const { phases, tooltips } = resolveBreakpoint(
+    { width: 500, height: 800 },
+    {
+      mobile: {
+        width: 0,
+        phases: { "header-1-slide": { range: [0.1, 0.2] } },
+        tooltips: [{ anchor: "top-left" }],
+      },
+    },
+    base
+  );
+
+  assert.deepEqual(phases, { "header-1-slide": { range: [0.1, 0.2] } });
+  assert.deepEqual(tooltips, [{ anchor: "top-left" }]);
+});
@@ -0,0 +1,95 @@
+/**
+ * Quality Governor Tests
+ * ======================
+ *
+ * createQualityGovernor (js/quality.js) fed with synthetic frame times.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createQualityGovernor } from "../js/quality.js";
+
+// Feed `count` frames that are `intervalMs` apart; returns the end time
+function play(governor, { from = 0, count, intervalMs }) {
+  let time = from;
+  for (let i = 0; i < count; i++) {
+    time += intervalMs;
+    governor.sample(time);
+  }
+  return time;
+}
+
+test("sustained slow frames step quality down", () => {
+  const governor = createQualityGovernor({ initialTier: 0 });
+
+  play(governor, { count: 200, intervalMs: 30 });
+
+  assert.equal(governor.index, 1);
+});
+
+test("one slow patch is not enough to step down", () => {
+  const governor = createQualityGovernor({ initialTier: 0 });
+
+  let time = play(governor, { count: 61, intervalMs: 1000 / 60 });
+  time = play(governor, { from: time, count: 60, intervalMs: 30 });
+  play(governor, { from: time, count: 120, intervalMs: 1000 / 60 });
+
+  assert.equal(governor.index, 0);
+});
+
+test("frames at a 60Hz refresh rate step quality back up", () => {
+  const governor = createQualityGovernor({ initialTier: 2 });
+
+  play(governor, { count: 240, intervalMs: 1000 / 60 });
+
+  assert.equal(governor.index, 1);
+});
+
+test("no step up right after stepping down", () => {
+  const changes = [];
+  const governor = createQualityGovernor({
+    initialTier: 0,
+    onChange: (tier, index) => changes.push(index),
+  });
+
+  let time = play(governor, { count: 200, intervalMs: 30 });
+  time = play(governor, { from: time, count: 120, intervalMs: 1000 / 60 });
+  assert.deepEqual(changes, [1]); // Upgrade delay still running
+
+  play(governor, { from: time, count: 1200, intervalMs: 1000 / 60 });
+  assert.deepEqual(changes, [1, 0]);
+});
+
+test("thresholds follow a faster display", () => {
+  const governor = createQualityGovernor({ initialTier: 0 });
+
+  // 12ms frames are fine at 60Hz but miss every frame at 120Hz
+  let time = play(governor, { count: 61, intervalMs: 1000 / 120 });
+  play(governor, { from: time, count: 200, intervalMs: 12 });
+
+  assert.equal(governor.index, 1);
+});
+
+test("idle gaps are not counted as slow frames", () => {
+  const governor = createQualityGovernor({ initialTier: 0 });
+
+  play(governor, { count: 300, intervalMs: 500 });
+
+  assert.equal(governor.index, 0);
+});
+
+test("short idle gaps between runs of frames are not counted", () => {
+  const governor = createQualityGovernor({ initialTier: 0 });
+
+  // Wheel steps: a few frames, then the loop idles for 60ms. The scene
+  // resets the governor on the first frame after an idle spell.
+  let time = 0;
+  for (let run = 0; run < 100; run++) {
+    time += 60;
+    governor.reset();
+    time = play(governor, { from: time, count: 3, intervalMs: 1000 / 60 });
+  }
+
+  assert.equal(governor.index, 0);
+});
@@ -0,0 +1,71 @@
+/**
+ * Render Loop Tests
+ * =================
+ *
+ * createRenderLoop (js/render-loop.js) with a hand-driven
+ * requestAnimationFrame.
+ */
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { createRenderLoop } from "../js/render-loop.js";
+
+let callbacks = [];
+
+beforeEach(() => {
+  callbacks = [];
+  globalThis.requestAnimationFrame = (callback) => callbacks.push(callback);
+  globalThis.cancelAnimationFrame = (id) => (callbacks[id - 1] = null);
+});
+
+// Run the frame callbacks requested so far, like one display refresh
+function nextFrame() {
+  const pending = callbacks;
+  callbacks = [];
+  pending.forEach((callback) => callback?.());
+}
+
+test("frames requested during a frame continue the run", () => {
+  const frames = [];
+  const loop = createRenderLoop(({ continued }) => {
+    frames.push(continued);
+    if (frames.length < 3) loop.invalidate();
+  });
+
+  loop.invalidate();
+  nextFrame();
+  nextFrame();
+  nextFrame();
+
+  assert.deepEqual(frames, [false, true, true]);
+});
+
+test("the first frame after an idle spell starts a new run", () => {
+  const frames = [];
+  const loop = createRenderLoop(({ continued }) => frames.push(continued));
+
+  loop.invalidate();
+  nextFrame();
+  nextFrame(); // Idle: nothing changed
+  loop.invalidate();
+  nextFrame();
+
+  assert.deepEqual(frames, [false, false]);
+});
+
+test("resuming after a suspension starts a new run", () => {
+  const frames = [];
+  const loop = createRenderLoop(({ continued }) => {
+    frames.push(continued);
+    loop.invalidate();
+  });
+
+  loop.invalidate();
+  nextFrame();
+  loop.suspend("offscreen");
+  loop.resume("offscreen");
+  nextFrame();
+
+  assert.deepEqual(frames, [false, false]);
+});
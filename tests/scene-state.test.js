@@ -0,0 +1,213 @@
+/**
+ * Scene State Tests
+ * =================
+ *
+ * Checks computeSceneState (js/scene-state.js) against the math the
+ * original inline ScrollTrigger callbacks used, at and between the phase
+ * boundaries. Run with `npm test` (Node's built-in test runner).
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { gsap } from "gsap";
+
+import { scenePhases } from "../js/choreography.js";
+import { computeFraming, computeSceneState } from "../js/scene-state.js";
+
+// GSAP's own easing and interpolation, as the page uses them
+const helpers = {
+  parseEase: (ease) => gsap.parseEase(ease),
+  interpolate: (from, to, t) => gsap.utils.interpolate(from, to, t),
+};
+
+// The defaults from MODEL CONFIGURATION in scene.js
+const modelConfig = {
+  cameraDistance: 3,
+  position: { horizontalOffset: 0.4, verticalOffset: -0.05 },
+  rotation: -15,
+  breakpoints: {
+    mobile: { width: 767, cameraDistance: 4, rotation: 0, horizontalOffset: 0 },
+    desktop: { width: 1024 },
+  },
+};
+
+// A scaled can: twice as tall as it is wide, slightly off-centre
+const model = {
+  size: { x: 1, y: 2, z: 1 },
+  center: { x: 0.1, y: 0.5, z: 0.05 },
+};
+
+const desktop = { width: 1440, height: 900 };
+const mobile = { width: 375, height: 812 };
+
+const degToRad = (degrees) => (degrees * Math.PI) / 180;
+
+function assertClose(actual, expected, message) {
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `${message ?? "value"}: expected ${expected}, got ${actual}`
+  );
+}
+
+function stateAt(progress, viewport = desktop) {
+  return computeSceneState(progress, viewport, {
+    phases: scenePhases,
+    modelConfig,
+    model,
+    helpers,
+  });
+}
+
+// The value a phase owns at a progress (undefined when it owns none)
+function valueOf(state, id, property) {
+  return state.phases.find(({ phase }) => phase.id === id)?.values[property];
+}
+
+// Channels of an "rgb(...)" / "rgba(...)" string
+const channels = (color) =>
+  color
+    .match(/[\d.]+/g)
+    .slice(0, 3)
+    .map(Number);
+
+describe("computeFraming", () => {
+  test("desktop offsets the can to the left and tilts it", () => {
+    const { position, rotationZ, cameraZ } = computeFraming(
+      desktop,
+      modelConfig,
+      model
+    );
+
+    // Baseline: -center.x - size.x * horizontalOffset
+    assertClose(position.x, -0.1 - 1 * 0.4, "x");
+    // Baseline: -center.y + size.y * verticalOffset
+    assertClose(position.y, -0.5 + 2 * -0.05, "y");
+    assertClose(position.z, -0.05, "z");
+    assertClose(rotationZ, degToRad(-15), "rotationZ");
+    // Baseline: largest dimension * cameraDistance
+    assertClose(cameraZ, 2 * 3, "cameraZ");
+  });
+
+  test("mobile centres the can, upright and further away", () => {
+    const { position, rotationZ, cameraZ } = computeFraming(
+      mobile,
+      modelConfig,
+      model
+    );
+
+    // The can's own centre lands on x = 0. The baseline used +center.x
+    // here, which pushed an off-centre model twice as far off instead.
+    assertClose(position.x, -0.1, "x");
+    assertClose(position.y, -0.5 + 2 * -0.05, "y");
+    assertClose(rotationZ, 0, "rotationZ");
+    assertClose(cameraZ, 2 * 4, "cameraZ");
+  });
+
+  test("framing is interpolated between the breakpoints", () => {
+    const between = { width: (767 + 1024) / 2, height: 900 };
+    const { position, rotationZ, cameraZ } = computeFraming(
+      between,
+      modelConfig,
+      model
+    );
+
+    assertClose(position.x, -0.1 - 1 * 0.2, "x"); // horizontalOffset 0.2
+    assertClose(rotationZ, degToRad(-7.5), "rotationZ");
+    assertClose(cameraZ, 2 * 3.5, "cameraZ");
+  });
+});
+
+describe("computeSceneState", () => {
+  const finalY = -0.5 + 2 * -0.05;
+
+  test("the can enters from 1.5 model heights below over 0-5%", () => {
+    [0, 0.01, 0.025, 0.05, 0.5].forEach((progress) => {
+      // Baseline: finalY - (1 - clamp(progress / 0.05)) * size.y * 1.5
+      const entrance = Math.min(1, progress / 0.05);
+      const expected = finalY - (1 - entrance) * 2 * 1.5;
+
+      assertClose(
+        valueOf(stateAt(progress), "model-entrance", "positionY"),
+        expected,
+        `positionY at ${progress}`
+      );
+    });
+  });
+
+  test("the can turns four full times over the pin", () => {
+    [0, 0.25, 0.5, 1].forEach((progress) => {
+      assertClose(
+        valueOf(stateAt(progress), "model-rotation", "rotationY"),
+        Math.PI * 8 * progress,
+        `rotationY at ${progress}`
+      );
+    });
+  });
+
+  test("header-1 slides out between 12% and 25%", () => {
+    assert.equal(valueOf(stateAt(0.1), "header-1-slide", "xPercent"), 0);
+    assertClose(valueOf(stateAt(0.185), "header-1-slide", "xPercent"), -50);
+    assert.equal(valueOf(stateAt(0.3), "header-1-slide", "xPercent"), -100);
+  });
+
+  test("the circular mask opens between 20% and 28%", () => {
+    const mask = (progress) =>
+      valueOf(stateAt(progress), "circular-mask-reveal", "clipPath");
+
+    assert.equal(mask(0.19), "circle(0% at 50% 50%)");
+    assert.equal(mask(0.24), "circle(50% at 50% 50%)");
+    assert.equal(mask(0.3), "circle(100% at 50% 50%)");
+  });
+
+  test("header-2 slides through, fades in and darkens", () => {
+    const header2 = (progress, id, property) =>
+      valueOf(stateAt(progress), id, property);
+
+    // Baseline: 100 - 200 * (progress - 0.18) / 0.17
+    assert.equal(header2(0.1, "header-2-slide", "xPercent"), 100);
+    assertClose(header2(0.265, "header-2-slide", "xPercent"), 0);
+    assert.equal(header2(0.4, "header-2-slide", "xPercent"), -100);
+
+    assert.equal(header2(0.17, "header-2-enter", "opacity"), 0);
+    assert.equal(header2(0.18, "header-2-enter", "opacity"), 1);
+    assert.equal(header2(0.18, "header-2-enter", "zIndex"), 10);
+
+    // Baseline: round(255 * (1 - (progress - 0.18) / 0.06))
+    assert.deepEqual(
+      channels(header2(0.21, "header-2-color", "color")),
+      [128, 128, 128]
+    );
+    assert.deepEqual(
+      channels(header2(0.3, "header-2-color", "color")),
+      [0, 0, 0]
+    );
+  });
+
+  test("the container grows at 15% and goes full-screen at 90%", () => {
+    assert.equal(valueOf(stateAt(0.1), "model-container-scale", "scale"), 0.8);
+    assert.equal(valueOf(stateAt(0.15), "model-container-scale", "scale"), 1);
+
+    const fullscreen = (progress) =>
+      valueOf(stateAt(progress), "model-container-fullscreen", "width");
+    assert.equal(fullscreen(0.89), "100%");
+    assert.equal(fullscreen(0.9), "100vw");
+  });
+
+  test("the gradient overlay hides at 8%", () => {
+    assert.equal(valueOf(stateAt(0.07), "model-gradient-fade", "opacity"), 1);
+    assert.equal(valueOf(stateAt(0.08), "model-gradient-fade", "opacity"), 0);
+  });
+
+  test("model values wait for a model, DOM values do not", () => {
+    const state = computeSceneState(0.5, desktop, {
+      phases: scenePhases,
+      modelConfig,
+      model: null,
+      helpers,
+    });
+
+    assert.equal(state.framing, null);
+    assert.ok(state.phases.every(({ phase }) => phase.target !== "model"));
+    assert.equal(valueOf(state, "header-1-slide", "xPercent"), -100);
+  });
+});